@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Headless batch runner
+ * Runs statistical experiments from a JSON configuration, without a browser.
+ *
+ *   node bin/kuramoto-batch.js config.json [-o results.json|results.csv] [--replicates]
+ *
+ * Configuration (every field but K is optional):
+ *   {
+ *     "N": 16,
+ *     "K": 1.2,                                  // or [0.5, 1, 1.5] or { "min": 0, "max": 3, "steps": 16 }
+ *     "replicates": 100,
+ *     "steps": 10000,                            // limit; each replicate stops once converged
+ *     "dt": 0.02,
+ *     "integrator": "rk4",                       // euler, heun, rk4, rk45 (+ "atol", "rtol")
+ *     "alpha": 0,
+ *     "noise": 0,
+ *     "forcing": { "F": 0.5, "Omega": 1.2, "subset": "all" },  // drive F·sin(Ωt − θᵢ); subset all, arc (+ "fraction") or selection (+ "selection": [i, ...])
+ *     "topology": { "type": "ring", "k": 1 },
+ *     "frequencies": { "type": "gaussian", "mean": 1, "width": 0.2, "sampling": "quantile" },
+ *     "init": { "type": "random" },              // or { "type": "twisted", "q": 2, "noise": 0.5 }
+ *     "tolerances": { "frequency": 1e-3, "window": 10, "stableWindows": 3 },  // see classifier.js
+ *     "seed": 12345
+ *   }
+ *
+ * The same replicate seeds are used at every K; replicates that hit the step limit
+ * are counted as "timeout". Output is JSON (counts and every
+ * replicate per K) or CSV (counts per K, or one row per replicate with --replicates).
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { planExperiment, runJobs, sortOutcomes } from '../js/experimentEngine.js';
+import { INTEGRATORS } from '../js/kuramoto.js';
+import { FREQUENCY_TYPES } from '../js/frequencies.js';
+import { TOPOLOGY_TYPES } from '../js/topology.js';
+import { randomSeed } from '../js/random.js';
+import { toCSV } from '../js/dataExport.js';
+
+const USAGE = 'Usage : node bin/kuramoto-batch.js config.json [-o résultats.json|résultats.csv] [--replicates]';
+
+/**
+ * Command-line arguments → { configPath, output, format, replicates }
+ */
+function parseArgs(argv) {
+    const args = { configPath: null, output: null, format: null, replicates: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-o' || arg === '--output') {
+            args.output = argv[++i];
+        } else if (arg === '--format') {
+            args.format = argv[++i];
+        } else if (arg === '--replicates') {
+            args.replicates = true;
+        } else if (arg === '-h' || arg === '--help') {
+            console.log(USAGE);
+            process.exit(0);
+        } else if (!args.configPath) {
+            args.configPath = arg;
+        } else {
+            throw new Error(`Argument inattendu : ${arg}`);
+        }
+    }
+    if (!args.configPath) throw new Error(USAGE);
+    args.format ??= args.output && args.output.endsWith('.csv') ? 'csv' : 'json';
+    if (!['json', 'csv'].includes(args.format)) {
+        throw new Error(`Format inconnu : ${args.format} (json ou csv)`);
+    }
+    return args;
+}
+
+/**
+ * Values of K from a number, a list, or { min, max, steps }
+ */
+function expandK(K) {
+    if (typeof K === 'number') return [K];
+    if (Array.isArray(K) && K.length > 0 && K.every(Number.isFinite)) return K;
+    if (K && Number.isFinite(K.min) && Number.isFinite(K.max) && Number.isInteger(K.steps) && K.steps >= 1) {
+        return Array.from({ length: K.steps }, (_, k) => K.steps > 1 ? K.min + (K.max - K.min) * k / (K.steps - 1) : K.min);
+    }
+    throw new Error('Champ « K » invalide : nombre, liste de nombres ou { min, max, steps } attendu');
+}
+
+/**
+ * Validate the configuration file and turn it into planExperiment arguments
+ */
+function normalizeConfig(raw) {
+    const positiveInteger = (value, name, fallback) => {
+        if (value === undefined) return fallback;
+        if (!Number.isInteger(value) || value < 1) throw new Error(`Champ « ${name} » invalide : entier positif attendu`);
+        return value;
+    };
+    const choice = (value, name, choices, fallback) => {
+        if (value === undefined) return fallback;
+        if (!choices.includes(value)) throw new Error(`Champ « ${name} » invalide : ${choices.join(', ')} attendu`);
+        return value;
+    };
+    // min is exclusive when `strict` (e.g. dt > 0)
+    const number = (value, name, fallback, { min = -Infinity, max = Infinity, strict = false } = {}) => {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value > max || (strict ? value <= min : value < min)) {
+            const bounds = [
+                min > -Infinity ? `${strict ? '>' : '≥'} ${min}` : null,
+                max < Infinity ? `≤ ${max}` : null
+            ].filter(Boolean).join(' et ');
+            throw new Error(`Champ « ${name} » invalide : nombre${bounds ? ` ${bounds}` : ''} attendu`);
+        }
+        return value;
+    };
+
+    const N = positiveInteger(raw.N, 'N', 16);
+    if (N < 2 || N > 500) throw new Error('Champ « N » invalide : entier entre 2 et 500 attendu');
+    if (raw.seed !== undefined && !Number.isInteger(raw.seed)) {
+        throw new Error('Champ « seed » invalide : entier attendu');
+    }
+
+    const { type: topologyType, ...topologyParams } = raw.topology ?? {};
+    const { type: frequencyType, ...frequencyParams } = raw.frequencies ?? {};
+    const { type: initType, ...initParams } = raw.init ?? {};
+
+    // An explicit list gives every ωᵢ, so it must have exactly N values
+    if (frequencyType === 'custom') {
+        const values = frequencyParams.values;
+        if (!Array.isArray(values) || values.length !== N || !values.every(Number.isFinite)) {
+            throw new Error(`Champ « frequencies.values » invalide : liste de ${N} nombres attendue (une par oscillateur)`);
+        }
+    }
+
+    return {
+        N,
+        Ks: expandK(raw.K),
+        replicates: positiveInteger(raw.replicates, 'replicates', 100),
+        steps: positiveInteger(raw.steps, 'steps', 10000),
+        options: {
+            seed: raw.seed === undefined ? randomSeed() : raw.seed >>> 0,
+            dt: number(raw.dt, 'dt', 0.02, { min: 0, strict: true }),
+            integrator: choice(raw.integrator, 'integrator', INTEGRATORS, 'euler'),
+            atol: raw.atol ?? 1e-6,
+            rtol: raw.rtol ?? 1e-3,
+            alpha: number(raw.alpha, 'alpha', 0),
+            noise: number(raw.noise, 'noise', 0, { min: 0 }),
+            forcing: normalizeForcing(raw.forcing, number, choice),
+            topologyType: choice(topologyType, 'topology.type', TOPOLOGY_TYPES, 'ring'),
+            topologyParams,
+            frequencyType: choice(frequencyType, 'frequencies.type', FREQUENCY_TYPES, 'identical'),
+            frequencyParams,
+            initType: initType ?? 'random',
+            initParams,
+            tolerances: raw.tolerances ?? {}
+        }
+    };
+}
+
+/**
+ * Check the drive settings (see KuramotoSimulator.setForcing)
+ */
+function normalizeForcing(forcing, number, choice) {
+    if (forcing === undefined || forcing === null) return null;
+    if (typeof forcing !== 'object' || Array.isArray(forcing)) {
+        throw new Error('Champ « forcing » invalide : objet attendu');
+    }
+    const { F, Omega, subset, fraction, selection } = forcing;
+    number(F, 'forcing.F', undefined, { min: 0 });
+    number(Omega, 'forcing.Omega', undefined);
+    choice(subset, 'forcing.subset', ['all', 'arc', 'selection'], undefined);
+    number(fraction, 'forcing.fraction', undefined, { min: 0, max: 1 });
+    if (selection !== undefined && !(Array.isArray(selection) && selection.every(Number.isInteger))) {
+        throw new Error('Champ « forcing.selection » invalide : liste d\'indices attendue');
+    }
+    return forcing;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    let raw;
+    try {
+        raw = JSON.parse(readFileSync(args.configPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Configuration illisible (${args.configPath}) : ${e.message}`);
+    }
+    const { N, Ks, replicates, steps, options } = normalizeConfig(raw);
+
+    const runs = Ks.map((K, k) => {
+        const start = Date.now();
+        const plan = planExperiment(replicates, K, N, steps, options);
+        const label = `K = ${K.toFixed(3)} (${k + 1}/${Ks.length})`;
+        // Live percentage on a terminal only, so that redirected logs stay one line per K
+        runJobs(plan.jobs, plan.merge, process.stderr.isTTY ? (done, total) => {
+            process.stderr.write(`\r${label} : ${Math.round(100 * done / total)} %`);
+        } : null);
+        plan.finish(false);
+        if (process.stderr.isTTY) process.stderr.write('\r');
+        process.stderr.write(`${label} : ${replicates} simulations en ${((Date.now() - start) / 1000).toFixed(1)} s\n`);
+        return { K, ...plan.results };
+    });
+
+    const { K, ...config } = runs[0].config;
+    const meta = { ...config, replicates, seed: options.seed };
+
+    let text;
+    if (args.format === 'json') {
+        text = JSON.stringify({
+            ...meta,
+            runs: runs.map(run => ({ K: run.K, total: run.total, counts: run.counts, replicates: run.replicates }))
+        }, null, 2);
+    } else if (args.replicates) {
+        const rows = runs.flatMap(run => run.replicates.map(rep => [run.K, rep.seed, rep.r, rep.q, rep.state, rep.time, rep.outcome]));
+        text = toCSV(['K', 'seed', 'r', 'q', 'state', 'time', 'outcome'], rows, meta);
+    } else {
+        const outcomes = sortOutcomes([...new Set(runs.flatMap(run => Object.keys(run.counts)))]);
+        const rows = runs.map(run => [run.K, run.total, ...outcomes.map(key => run.counts[key] || 0)]);
+        text = toCSV(['K', 'n', ...outcomes], rows, meta);
+    }
+
+    if (args.output) {
+        writeFileSync(args.output, text);
+        process.stderr.write(`Résultats écrits dans ${args.output}\n`);
+    } else {
+        process.stdout.write(text + (text.endsWith('\n') ? '' : '\n'));
+    }
+}
+
+try {
+    main();
+} catch (e) {
+    process.stderr.write(`${e.message}\n`);
+    process.exit(1);
+}
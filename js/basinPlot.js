@@ -0,0 +1,141 @@
+/**
+ * Basin Fraction Plot
+ * Stacked fractions of final states (sync, q=±1, q=±2, other) against K,
+ * with 95% Wilson bands on each boundary between groups
+ */
+
+export const BASIN_GROUPS = [
+    { key: 'sync', label: 'Synchro', color: '#10b981' },
+    { key: 'q1', label: 'q=±1', color: 'hsl(239, 80%, 65%)' },
+    { key: 'q2', label: 'q=±2', color: 'hsl(254, 80%, 65%)' },
+    { key: 'other', label: 'Autre', color: '#64748b' }
+];
+
+/**
+ * Wilson score interval for a binomial proportion
+ * @param {number} successes
+ * @param {number} n - Trials
+ * @param {number} z - Normal quantile (1.96 for 95%)
+ * @returns {{low: number, high: number}}
+ */
+export function wilsonInterval(successes, n, z = 1.96) {
+    if (n === 0) return { low: 0, high: 1 };
+    const p = successes / n;
+    const z2 = z * z;
+    const denom = 1 + z2 / n;
+    const center = (p + z2 / (2 * n)) / denom;
+    const half = (z / denom) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+    return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+export class BasinPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { top: 10, right: 10, bottom: 28, left: 34 };
+    }
+
+    /**
+     * @param {Object} sweep - { Ks, counts: [{sync, q1, q2, other}], done: number[] }
+     */
+    render(sweep) {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+        const plotW = w - p.left - p.right;
+        const plotH = h - p.top - p.bottom;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, w, h);
+
+        // Axes
+        ctx.strokeStyle = 'rgba(100, 100, 150, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(p.left, p.top);
+        ctx.lineTo(p.left, h - p.bottom);
+        ctx.lineTo(w - p.right, h - p.bottom);
+        ctx.stroke();
+
+        const Ks = sweep.Ks;
+        const Kmin = Ks[0];
+        const Kmax = Ks[Ks.length - 1];
+        const span = Kmax - Kmin || 1;
+        const xOf = K => p.left + ((K - Kmin) / span) * plotW;
+        const yOf = f => h - p.bottom - f * plotH;
+
+        // Labels
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText('1.0', p.left - 4, p.top + 4);
+        ctx.fillText('0.0', p.left - 4, h - p.bottom + 3);
+        ctx.textAlign = 'left';
+        ctx.fillText(Kmin.toFixed(2), p.left, h - p.bottom + 12);
+        ctx.textAlign = 'right';
+        ctx.fillText(Kmax.toFixed(2), w - p.right, h - p.bottom + 12);
+        ctx.textAlign = 'center';
+        ctx.fillText('K', p.left + plotW / 2, h - p.bottom + 12);
+
+        // Only K values with at least one finished replicate
+        const points = [];
+        Ks.forEach((K, k) => {
+            const n = sweep.done[k];
+            if (n === 0) return;
+            // Cumulative counts: boundaries[g] = replicates in groups 0..g
+            let cumulative = 0;
+            const boundaries = BASIN_GROUPS.map(group => (cumulative += sweep.counts[k][group.key]));
+            points.push({ x: xOf(K), n, boundaries });
+        });
+
+        if (points.length > 0) {
+            // Stacked areas, bottom group first
+            BASIN_GROUPS.forEach((group, g) => {
+                ctx.beginPath();
+                points.forEach((pt, i) => {
+                    const y = yOf(pt.boundaries[g] / pt.n);
+                    if (i === 0) ctx.moveTo(pt.x, y);
+                    else ctx.lineTo(pt.x, y);
+                });
+                for (let i = points.length - 1; i >= 0; i--) {
+                    const lower = g === 0 ? 0 : points[i].boundaries[g - 1] / points[i].n;
+                    ctx.lineTo(points[i].x, yOf(lower));
+                }
+                ctx.closePath();
+                ctx.globalAlpha = 0.55;
+                ctx.fillStyle = group.color;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            });
+
+            // Confidence bands on the internal boundaries (the top one is always 1)
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.18)';
+            for (let g = 0; g < BASIN_GROUPS.length - 1; g++) {
+                const bands = points.map(pt => wilsonInterval(pt.boundaries[g], pt.n));
+                ctx.beginPath();
+                points.forEach((pt, i) => {
+                    if (i === 0) ctx.moveTo(pt.x, yOf(bands[i].high));
+                    else ctx.lineTo(pt.x, yOf(bands[i].high));
+                });
+                for (let i = points.length - 1; i >= 0; i--) {
+                    ctx.lineTo(points[i].x, yOf(bands[i].low));
+                }
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+
+        // Legend
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        let x = p.left;
+        BASIN_GROUPS.forEach(group => {
+            ctx.fillStyle = group.color;
+            ctx.fillRect(x, h - 10, 8, 8);
+            ctx.fillStyle = 'rgba(160, 160, 176, 0.9)';
+            ctx.fillText(group.label, x + 11, h - 2);
+            x += ctx.measureText(group.label).width + 22;
+        });
+    }
+}
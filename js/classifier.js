@@ -0,0 +1,205 @@
+/**
+ * State Classifier
+ * Shared classification of the state reached by a simulation, used by the
+ * live view and the experiments. Locking is judged from the spread of the
+ * oscillators' frequencies, convergence from the stability of the verdict
+ * (and of the winding number) over consecutive time windows. An unlocked
+ * verdict only counts once the frequency spread has stopped shrinking, so
+ * that a slow approach to a locked state is not mistaken for drift.
+ */
+
+export const DEFAULT_TOLERANCES = {
+    frequency: 1e-3,        // Max spread of the frequencies of locked oscillators
+    window: 10,             // Observation window (time units)
+    stableWindows: 3,       // Identical consecutive windows needed to call convergence
+    partialFraction: 0.2    // Min share of the largest locked cluster for a partially locked state
+};
+
+/**
+ * States:
+ *   phaseLocked      all instantaneous frequencies equal, q = 0
+ *   frequencyLocked  mean frequencies equal over the window, phases still moving (q = 0)
+ *   twisted          locked (either way) with q ≠ 0
+ *   partial          a locked cluster of at least partialFraction·N, the rest drifting
+ *   drifting         no sizable locked cluster
+ *   transient        not converged yet
+ */
+export const STATES = ['phaseLocked', 'frequencyLocked', 'twisted', 'partial', 'drifting', 'transient'];
+
+/**
+ * Size of the largest group of values that fit within `tolerance`
+ * @param {Float64Array} values
+ * @param {number} tolerance
+ * @returns {number}
+ */
+function largestCluster(values, tolerance) {
+    const sorted = Float64Array.from(values).sort();
+    let best = 0;
+    let start = 0;
+    for (let end = 0; end < sorted.length; end++) {
+        while (sorted[end] - sorted[start] > tolerance) start++;
+        best = Math.max(best, end - start + 1);
+    }
+    return best;
+}
+
+/**
+ * Classify from the oscillators' frequencies
+ * @param {Float64Array} rates - Instantaneous frequencies dθᵢ/dt
+ * @param {Float64Array|null} meanRates - Mean frequencies over a window (null: instantaneous only)
+ * @param {number} q - Winding number
+ * @param {Object} tolerances - See DEFAULT_TOLERANCES
+ * @param {number} meanTolerance - Tolerance on meanRates (defaults to tolerances.frequency)
+ * @returns {{state: string, q: number, locked: number}} - locked: share of the largest locked cluster
+ */
+export function classifyFrequencies(rates, meanRates, q, tolerances = DEFAULT_TOLERANCES, meanTolerance = tolerances.frequency) {
+    const N = rates.length;
+    const phaseLocked = largestCluster(rates, tolerances.frequency) === N;
+    const locked = phaseLocked ? N : meanRates ? largestCluster(meanRates, meanTolerance) : largestCluster(rates, tolerances.frequency);
+
+    let state;
+    if (locked === N) {
+        state = q !== 0 ? 'twisted' : phaseLocked ? 'phaseLocked' : 'frequencyLocked';
+    } else if (locked >= Math.max(2, tolerances.partialFraction * N)) {
+        state = 'partial';
+    } else {
+        state = 'drifting';
+    }
+    return { state, q, locked: locked / N };
+}
+
+/**
+ * Display label of a classification
+ * Unlocked states with coexisting coherent and incoherent regions are called chimeras.
+ * @param {{state: string, q: number, locked: number}} result
+ * @param {{coherent: number, incoherent: number}} coherence - From getCoherenceFractions(), if known
+ * @returns {string}
+ */
+export function describeState({ state, q, locked }, coherence = null) {
+    if (coherence && (state === 'partial' || state === 'drifting') &&
+        coherence.coherent >= 0.2 && coherence.incoherent >= 0.2) {
+        return `Chimère (${Math.round(coherence.coherent * 100)}% cohérent)`;
+    }
+    switch (state) {
+        case 'phaseLocked': return 'Verrouillé en phase (q=0)';
+        case 'frequencyLocked': return 'Verrouillé en fréquence (q=0)';
+        case 'twisted': return `Twisted (q=${q})`;
+        case 'partial': return `Partiellement verrouillé (${Math.round(locked * 100)}%, q=${q})`;
+        case 'drifting': return 'Dérive (désynchronisé)';
+        default: return 'Non convergé';
+    }
+}
+
+/**
+ * Follows a running simulation window by window and tells when its state has settled
+ */
+export class StateClassifier {
+    /**
+     * @param {Object} tolerances - Overrides of DEFAULT_TOLERANCES
+     */
+    constructor(tolerances = {}) {
+        this.tolerances = { ...DEFAULT_TOLERANCES, ...tolerances };
+        this.reset();
+    }
+
+    /**
+     * Forget every observation (e.g. after a reset or a change of N)
+     */
+    reset() {
+        this.N = 0;
+        this.lastTime = null;
+        this.windowStart = null;
+        this.windows = [];        // Verdicts of the last stableWindows windows
+        this.result = null;       // Latest verdict, with `converged`
+        this.converged = false;
+    }
+
+    /**
+     * Record the phases at `time`; closes a window every tolerances.window time units
+     * Observations must be close enough for phases to move by less than π in between.
+     * @param {KuramotoSimulator} sim
+     * @param {number} time - Simulation time
+     */
+    observe(sim, time) {
+        const N = sim.N;
+        if (N !== this.N || (this.lastTime !== null && time < this.lastTime)) {
+            this.reset();
+            this.N = N;
+            this.previous = new Float64Array(N);
+            this.displacement = new Float64Array(N);
+            this.rates = new Float64Array(N);
+        }
+
+        if (this.windowStart === null) {
+            this.windowStart = time;
+            this.previous.set(sim.phases);
+            this.displacement.fill(0);
+            this.lastTime = time;
+            return;
+        }
+        if (time === this.lastTime) return;
+        this.lastTime = time;
+
+        // Unwrapped displacement of each phase since the window opened
+        const TWO_PI = 2 * Math.PI;
+        for (let i = 0; i < N; i++) {
+            let delta = sim.phases[i] - this.previous[i];
+            delta -= TWO_PI * Math.round(delta / TWO_PI);
+            this.displacement[i] += delta;
+        }
+        this.previous.set(sim.phases);
+
+        const elapsed = time - this.windowStart;
+        if (elapsed >= this.tolerances.window) {
+            this.closeWindow(sim, elapsed);
+            this.windowStart = time;
+            this.displacement.fill(0);
+        }
+    }
+
+    /**
+     * Classify the window that just ended and update the convergence verdict
+     */
+    closeWindow(sim, elapsed) {
+        const { stableWindows } = this.tolerances;
+        for (let i = 0; i < this.N; i++) this.displacement[i] /= elapsed;
+        sim.computeDerivativesFor(sim.phases, this.rates);
+
+        // With noise, locked phases still jitter by O(1) within a window
+        const meanTolerance = this.tolerances.frequency + (sim.noise > 0 ? Math.PI / elapsed : 0);
+        const verdict = classifyFrequencies(this.rates, this.displacement, sim.getWindingNumber(), this.tolerances, meanTolerance);
+
+        // Spread of the mean frequencies; it keeps shrinking while a state is still locking
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < this.N; i++) {
+            min = Math.min(min, this.displacement[i]);
+            max = Math.max(max, this.displacement[i]);
+        }
+        verdict.spread = max - min;
+
+        this.windows.push(verdict);
+        if (this.windows.length > stableWindows) this.windows.shift();
+        // Drifting oscillators make q and the edge of a locked cluster flicker: compare what is meaningful
+        const unlocked = verdict.state === 'partial' || verdict.state === 'drifting';
+        const settled = this.windows.length === stableWindows && this.windows.every(w =>
+            w.state === verdict.state &&
+            (unlocked || w.q === verdict.q) &&
+            (verdict.state !== 'partial' || Math.abs(w.locked - verdict.locked) <= Math.max(1 / this.N, 0.05)));
+        const shrinking = this.windows.every((w, k) => k === 0 || w.spread < this.windows[k - 1].spread);
+        this.converged = settled && !(unlocked && shrinking);
+        this.result = { ...verdict, converged: this.converged };
+    }
+
+    /**
+     * Latest verdict, or an instantaneous one before the first window closes
+     * @param {KuramotoSimulator} sim
+     * @returns {{state: string, q: number, locked: number, converged: boolean}}
+     */
+    classify(sim) {
+        if (this.result) return this.result;
+        const rates = new Float64Array(sim.N);
+        sim.computeDerivativesFor(sim.phases, rates);
+        return { ...classifyFrequencies(rates, null, sim.getWindingNumber(), this.tolerances), converged: false };
+    }
+}
@@ -4,11 +4,19 @@
  */
 
 import { appState } from './state.js';
+import { Topology, createTopology } from './topology.js';
+import { randomSeed } from './random.js';
+import { parseFrequencyList } from './frequencies.js';
+import { createSnapshot, parseSnapshot } from './snapshot.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { downloadFile } from './dataExport.js';
+import { describeState } from './classifier.js';
 
 export class Controls {
     constructor(simulator, onUpdate) {
         this.simulator = simulator;
         this.onUpdate = onUpdate;
+        this.permalinkTimer = null;
         this.setupEventListeners();
     }
 
@@ -16,14 +24,8 @@ export class Controls {
         // Mode buttons
         document.querySelectorAll('.mode-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
                 appState.setMode(parseInt(btn.dataset.mode));
-                document.getElementById('modeDescription').innerHTML = appState.getModeDescription();
-
-                // Show/hide experiment panel
-                const expPanel = document.getElementById('experimentPanel');
-                expPanel.style.display = appState.mode === 4 ? 'block' : 'none';
+                this.applyMode();
             });
         });
 
@@ -35,6 +37,14 @@ export class Controls {
             document.getElementById('kValue').textContent = appState.K.toFixed(2);
         });
 
+        // Phase lag slider
+        const alphaSlider = document.getElementById('alphaSlider');
+        alphaSlider.addEventListener('input', () => {
+            appState.setAlpha(parseFloat(alphaSlider.value));
+            this.simulator.setPhaseLag(appState.alpha);
+            document.getElementById('alphaValue').textContent = appState.alpha.toFixed(2);
+        });
+
         // Sweep buttons
         document.getElementById('sweepUpBtn').addEventListener('click', () => {
             appState.startSweep(1);
@@ -50,20 +60,107 @@ export class Controls {
             appState.stopSweep();
         });
 
+        // Sweep protocol
+        document.querySelectorAll('.preset-btn[data-sweep-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                appState.stopSweep();
+                appState.setSweepMode(btn.dataset.sweepMode);
+                this.applySweepMode();
+            });
+        });
+
+        const quasiStaticInputs = ['qsKminInput', 'qsKmaxInput', 'qsDKInput', 'qsTransientInput', 'qsMeasureInput', 'qsRoundTripCheck']
+            .map(id => document.getElementById(id));
+        quasiStaticInputs.forEach(input => {
+            input.addEventListener('change', () => this.readQuasiStaticParams());
+        });
+
+        document.getElementById('clearHysteresisBtn').addEventListener('click', () => {
+            appState.clearHysteresis();
+            this.onUpdate();
+        });
+
         // Frequency presets
         document.querySelectorAll('.preset-btn[data-freq]').forEach(btn => {
             btn.addEventListener('click', () => {
                 document.querySelectorAll('.preset-btn[data-freq]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
-                this.simulator.setFrequencies(btn.dataset.freq);
                 appState.setFrequencyType(btn.dataset.freq);
+                this.applyFrequencies();
+            });
+        });
+
+        ['freqMeanInput', 'freqWidthInput', 'freqQuantileCheck'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                appState.setFrequencyParams({
+                    mean: parseFloat(document.getElementById('freqMeanInput').value) || 0,
+                    width: Math.max(0, parseFloat(document.getElementById('freqWidthInput').value) || 0),
+                    sampling: document.getElementById('freqQuantileCheck').checked ? 'quantile' : 'random'
+                });
+                this.applyFrequencies();
+            });
+        });
+
+        // Explicit list of ωᵢ (N follows the list length)
+        document.getElementById('freqListBtn').addEventListener('click', () => {
+            const errorEl = document.getElementById('freqListError');
+            try {
+                const values = parseFrequencyList(document.getElementById('freqListInput').value);
+                errorEl.textContent = '';
+                appState.setFrequencyType('custom');
+                appState.setFrequencyParams({ values });
+                if (values.length !== this.simulator.N) {
+                    this.applyN(values.length);
+                } else {
+                    this.applyFrequencies();
+                }
+            } catch (err) {
+                errorEl.textContent = err.message;
+            }
+        });
+
+        // Number of oscillators
+        const nSlider = document.getElementById('nSlider');
+        nSlider.addEventListener('input', () => {
+            document.getElementById('nValue').textContent = nSlider.value;
+        });
+        nSlider.addEventListener('change', () => {
+            this.applyN(parseInt(nSlider.value));
+        });
+
+        // Topology presets
+        document.querySelectorAll('.preset-btn[data-topology]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('.preset-btn[data-topology]').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                appState.setTopology(btn.dataset.topology);
+                this.applyTopology();
+            });
+        });
+
+        const topologyKInput = document.getElementById('topologyKInput');
+        const topologyPInput = document.getElementById('topologyPInput');
+        const topologyKappaInput = document.getElementById('topologyKappaInput');
+        [topologyKInput, topologyPInput, topologyKappaInput].forEach(input => {
+            input.addEventListener('change', () => {
+                appState.setTopology(appState.topologyType, {
+                    k: Math.max(1, parseInt(topologyKInput.value) || 1),
+                    p: Math.max(0, Math.min(1, parseFloat(topologyPInput.value) || 0)),
+                    kappa: Math.max(0, parseFloat(topologyKappaInput.value) || 0)
+                });
+                this.applyTopology();
             });
         });
 
         // Phase initialization
         document.querySelectorAll('.init-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                this.simulator.setInitialPhases(btn.dataset.init);
+                appState.setInitType(btn.dataset.init, {
+                    q: parseInt(document.getElementById('twistQInput').value) || 0,
+                    noise: Math.max(0, parseFloat(document.getElementById('twistNoiseInput').value) || 0)
+                });
+                this.simulator.setInitialPhases(appState.initType, appState.initParams);
+                // New run: the clock (and the drive phase Ωt) restarts with the history
                 appState.clearHistory();
                 this.onUpdate();
             });
@@ -81,6 +178,94 @@ export class Controls {
             this.onUpdate();
         });
 
+        // Seed
+        const seedInput = document.getElementById('seedInput');
+        seedInput.value = appState.seed;
+        seedInput.addEventListener('change', () => {
+            const seed = parseInt(seedInput.value);
+            if (Number.isFinite(seed) && seed >= 0) {
+                appState.setSeed(seed);
+            }
+            this.reinitialize();
+        });
+
+        document.getElementById('newSeedBtn').addEventListener('click', () => {
+            appState.setSeed(randomSeed());
+            this.reinitialize();
+        });
+
+        // Permalink: the hash follows every state change; the link button also captures the phases
+        appState.onStateChange = () => this.schedulePermalinkUpdate();
+        window.addEventListener('hashchange', () => this.loadPermalink());
+        document.getElementById('copyLinkBtn').addEventListener('click', () => this.copyPermalink());
+
+        // Snapshots
+        document.getElementById('saveSnapshotBtn').addEventListener('click', () => this.saveSnapshot());
+
+        const snapshotInput = document.getElementById('snapshotFileInput');
+        document.getElementById('loadSnapshotBtn').addEventListener('click', () => snapshotInput.click());
+        snapshotInput.addEventListener('change', async () => {
+            const file = snapshotInput.files[0];
+            snapshotInput.value = '';
+            if (!file) return;
+            const errorEl = document.getElementById('snapshotError');
+            try {
+                this.loadSnapshot(parseSnapshot(await file.text()));
+                errorEl.textContent = '';
+            } catch (e) {
+                errorEl.textContent = `${file.name} : ${e.message}`;
+            }
+        });
+
+        // Integrator
+        document.querySelectorAll('.preset-btn[data-integrator]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                appState.setIntegrator(btn.dataset.integrator);
+                this.applyIntegrator();
+            });
+        });
+
+        ['atolInput', 'rtolInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                appState.setIntegrator(appState.integrator, {
+                    atol: parseFloat(document.getElementById('atolInput').value),
+                    rtol: parseFloat(document.getElementById('rtolInput').value)
+                });
+                this.applyIntegrator();
+            });
+        });
+
+        // Noise strength
+        const noiseSlider = document.getElementById('noiseSlider');
+        noiseSlider.addEventListener('input', () => {
+            appState.setNoise(parseFloat(noiseSlider.value));
+            this.simulator.setNoise(appState.noise);
+            document.getElementById('noiseValue').textContent = appState.noise.toFixed(2);
+        });
+
+        // External drive
+        const forcingSlider = document.getElementById('forcingSlider');
+        forcingSlider.addEventListener('input', () => {
+            appState.setForcing({ F: parseFloat(forcingSlider.value) });
+            this.applyForcing();
+        });
+        document.getElementById('forcingOmegaInput').addEventListener('change', (e) => {
+            const Omega = parseFloat(e.target.value);
+            if (Number.isFinite(Omega)) appState.setForcing({ Omega });
+            this.applyForcing();
+        });
+        document.getElementById('forcingFractionInput').addEventListener('change', (e) => {
+            const fraction = parseFloat(e.target.value);
+            if (Number.isFinite(fraction)) appState.setForcing({ fraction, subset: 'arc' });
+            this.applyForcing();
+        });
+        document.querySelectorAll('.preset-btn[data-forcing-subset]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                appState.setForcing({ subset: btn.dataset.forcingSubset });
+                this.applyForcing();
+            });
+        });
+
         // Speed slider
         const speedSlider = document.getElementById('speedSlider');
         speedSlider.addEventListener('input', () => {
@@ -90,34 +275,348 @@ export class Controls {
 
         // Simulation controls
         document.getElementById('playPauseBtn').addEventListener('click', () => {
-            const running = appState.toggleRunning();
-            document.getElementById('playPauseBtn').textContent = running ? '⏸ Pause' : '▶ Play';
-            document.body.classList.toggle('running', running);
+            this.setRunning(!appState.running);
         });
 
         document.getElementById('stepBtn').addEventListener('click', () => {
-            this.simulator.step(appState.getEffectiveDt());
+            const dt = appState.getEffectiveDt();
+            this.simulator.advance(dt);
             this.onUpdate();
         });
 
         document.getElementById('resetBtn').addEventListener('click', () => {
+            // Back to the state of the displayed seed (phases, frequencies and clock)
             appState.reset();
-            this.simulator.setCoupling(1.0);
-            this.simulator.setInitialPhases('random');
-            kSlider.value = 1.0;
-            document.getElementById('kValue').textContent = '1.00';
-            document.getElementById('playPauseBtn').textContent = '▶ Play';
-            document.body.classList.remove('running');
+            this.simulator.setCoupling(appState.K);
+            this.setRunning(false);
+            this.reinitialize();
+        });
+    }
+
+    /**
+     * Play or pause, with the play button and page style to match
+     */
+    setRunning(running) {
+        appState.setRunning(running);
+        document.getElementById('playPauseBtn').textContent = running ? '⏸ Pause' : '▶ Play';
+        document.body.classList.toggle('running', running);
+    }
+
+    /**
+     * Quasi-static sweep parameters from the inputs (Kmin ≤ Kmax, positive durations)
+     */
+    readQuasiStaticParams() {
+        const value = (id, fallback) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(v) ? v : fallback;
+        };
+        const a = Math.max(0, Math.min(5, value('qsKminInput', 0)));
+        const b = Math.max(0, Math.min(5, value('qsKmaxInput', 3)));
+        appState.setSweepMode(appState.sweepMode, {
+            Kmin: Math.min(a, b),
+            Kmax: Math.max(a, b),
+            dK: Math.max(0.01, value('qsDKInput', 0.1)),
+            transient: Math.max(0, value('qsTransientInput', 20)),
+            measure: Math.max(0.1, value('qsMeasureInput', 20)),
+            roundTrip: document.getElementById('qsRoundTripCheck').checked
+        });
+    }
+
+    /**
+     * Highlight the sweep protocol and show its parameters
+     */
+    applySweepMode() {
+        document.querySelectorAll('.preset-btn[data-sweep-mode]').forEach(b =>
+            b.classList.toggle('active', b.dataset.sweepMode === appState.sweepMode));
+        document.getElementById('quasiStaticRow').style.display =
+            appState.sweepMode === 'quasiStatic' ? 'block' : 'none';
+    }
+
+    /**
+     * Rebuild the simulator coupling graph from the selected topology
+     */
+    applyTopology() {
+        const topology = createTopology(appState.topologyType, this.simulator.N,
+            appState.topologyParams, this.simulator.rng);
+        this.simulator.setTopology(topology);
+        this.onUpdate();
+    }
+
+    /**
+     * Redraw natural frequencies from the selected distribution
+     */
+    applyFrequencies() {
+        this.simulator.setFrequencies(appState.frequencyType, appState.frequencyParams);
+        this.syncWidgets();
+        this.onUpdate();
+    }
+
+    /**
+     * Hand the selected integrator and tolerances to the simulator
+     */
+    applyIntegrator() {
+        this.simulator.setIntegrator(appState.integrator, { atol: appState.atol, rtol: appState.rtol });
+        this.syncWidgets();
+    }
+
+    /**
+     * Pass appState.forcing on to the simulator
+     */
+    applyForcing() {
+        this.simulator.setForcing(appState.forcing);
+        this.syncWidgets();
+    }
+
+    /**
+     * Resize the simulator and reapply the current presets
+     */
+    applyN(N) {
+        appState.setN(N);
+        this.simulator.resize(appState.N);
+        this.reinitialize();
+    }
+
+    /**
+     * Rebuild the simulator state from the seed and the current presets
+     */
+    reinitialize() {
+        this.simulator.initialize(appState.getSimulationConfig());
+        appState.clearHistory();
+        this.syncWidgets();
+        this.onUpdate();
+    }
+
+    /**
+     * Load a full configuration (e.g. an experiment replicate) into the main view
+     * @param {Object} config - { N, K, seed, topologyType, topologyParams, frequencyType, frequencyParams, initType, speed }
+     */
+    loadConfiguration(config) {
+        appState.setN(config.N);
+        appState.setK(config.K);
+        appState.setSeed(config.seed);
+        appState.setTopology(config.topologyType, config.topologyParams);
+        appState.setFrequencyType(config.frequencyType);
+        if (config.frequencyParams) appState.setFrequencyParams(config.frequencyParams);
+        appState.setInitType(config.initType, config.initParams);
+        if (config.speed !== undefined) appState.setSpeed(config.speed);
+        if (config.alpha !== undefined) {
+            appState.setAlpha(config.alpha);
+            this.simulator.setPhaseLag(appState.alpha);
+        }
+        if (config.noise !== undefined) {
+            appState.setNoise(config.noise);
+            this.simulator.setNoise(appState.noise);
+        }
+        if (config.forcing) {
+            appState.setForcing(config.forcing);
+            this.simulator.setForcing(appState.forcing);
+        }
+        if (config.integrator) {
+            appState.setIntegrator(config.integrator, { atol: config.atol, rtol: config.rtol });
+            this.simulator.setIntegrator(appState.integrator, { atol: appState.atol, rtol: appState.rtol });
+        }
+
+        this.simulator.setCoupling(appState.K);
+        this.simulator.resize(appState.N);
+        this.reinitialize();
+    }
+
+    /**
+     * Apply the configuration encoded in the URL hash, if any
+     * @returns {boolean} - Whether the hash held a configuration
+     */
+    loadPermalink() {
+        const config = decodePermalink(window.location.hash);
+        if (!config) return false;
+
+        if (config.mode) {
+            appState.setMode(config.mode);
+            this.applyMode();
+        }
+        this.loadConfiguration({ N: appState.N, K: appState.K, ...appState.getSimulationConfig(), ...config });
+
+        if (config.phases && config.phases.length === this.simulator.N) {
+            this.simulator.phases.set(config.phases);
+            appState.clearHistory();
             this.onUpdate();
+        }
+        return true;
+    }
+
+    /**
+     * Rewrite the hash shortly after a burst of state changes
+     */
+    schedulePermalinkUpdate() {
+        if (this.permalinkTimer) return;
+        this.permalinkTimer = setTimeout(() => {
+            this.permalinkTimer = null;
+            window.history.replaceState(null, '', `#${encodePermalink(appState)}`);
+        }, 300);
+    }
+
+    /**
+     * Copy a link to the current configuration and phases
+     */
+    async copyPermalink() {
+        const url = new URL(window.location.href);
+        url.hash = encodePermalink(appState, this.simulator.phases);
+        const btn = document.getElementById('copyLinkBtn');
+        try {
+            await navigator.clipboard.writeText(url.href);
+            btn.textContent = '✓ Copié';
+        } catch (e) {
+            // No clipboard access: leave the link in the address bar instead
+            window.history.replaceState(null, '', url.hash);
+            btn.textContent = '↑ Dans l\'URL';
+        }
+        setTimeout(() => { btn.textContent = '🔗 Lien'; }, 1500);
+    }
+
+    /**
+     * Download the current state as a JSON snapshot
+     */
+    saveSnapshot() {
+        const snapshot = createSnapshot(this.simulator, appState);
+        downloadFile(`kuramoto-N${snapshot.params.N}-K${appState.K.toFixed(2)}-t${appState.time.toFixed(1)}.json`,
+            JSON.stringify(snapshot), 'application/json');
+    }
+
+    /**
+     * Restore a validated snapshot (see snapshot.js): parameters, phases,
+     * frequencies, coupling graph, histories and mode
+     * @param {Object} snapshot
+     */
+    loadSnapshot(snapshot) {
+        const { params, simulator: sim, history } = snapshot;
+
+        appState.stopSweep();
+        appState.setDt(params.dt);
+        appState.setMode(params.mode);
+        this.loadConfiguration(params);
+
+        const N = this.simulator.N;
+        this.simulator.phases.set(sim.phases);
+        this.simulator.frequencies.set(sim.frequencies);
+        this.simulator.pinned.set(sim.pinned);
+        if (sim.edges) {
+            this.simulator.setTopology(new Topology(N, sim.edges, params.topologyType, { ...params.topologyParams }));
+        }
+        if (sim.adaptiveDt !== undefined) this.simulator.adaptiveDt = sim.adaptiveDt;
+
+        appState.time = sim.time;
+        const keep = -appState.maxHistoryLength;
+        appState.rHistory = history.rHistory.slice(keep);
+        appState.tHistory = history.tHistory.slice(keep);
+        appState.psiHistory = history.psiHistory.slice(keep);
+        appState.qHistory = history.qHistory.slice(keep);
+        appState.hysteresisUp = history.hysteresisUp;
+        appState.hysteresisDown = history.hysteresisDown;
+        appState.hysteresisBranches = history.hysteresisBranches;
+
+        this.applyMode();
+        this.onUpdate();
+    }
+
+    /**
+     * Reflect appState.mode in the mode buttons and experiment panel
+     * (the header shows the mode's guided tour, see GuidedTour)
+     */
+    applyMode() {
+        document.querySelectorAll('.mode-btn').forEach(b => {
+            b.classList.toggle('active', parseInt(b.dataset.mode) === appState.mode);
         });
+
+        // Show/hide experiment panel
+        const expPanel = document.getElementById('experimentPanel');
+        expPanel.style.display = appState.mode === 4 ? 'block' : 'none';
     }
 
-    updateDisplays(r, q, variance) {
+    /**
+     * Bring every input widget in line with appState
+     */
+    syncWidgets() {
+        const setActive = (selector, attr, value) => {
+            document.querySelectorAll(selector).forEach(b => {
+                b.classList.toggle('active', b.dataset[attr] === value);
+            });
+        };
+
+        document.getElementById('nSlider').value = appState.N;
+        document.getElementById('nValue').textContent = appState.N;
+        document.getElementById('kSlider').value = appState.K;
+        document.getElementById('kValue').textContent = appState.K.toFixed(2);
+        document.getElementById('seedInput').value = appState.seed;
+        document.getElementById('alphaSlider').value = appState.alpha;
+        document.getElementById('alphaValue').textContent = appState.alpha.toFixed(2);
+        document.getElementById('noiseSlider').value = appState.noise;
+        document.getElementById('noiseValue').textContent = appState.noise.toFixed(2);
+        document.getElementById('forcingSlider').value = appState.forcing.F;
+        document.getElementById('forcingValue').textContent = appState.forcing.F.toFixed(2);
+        document.getElementById('forcingOmegaInput').value = appState.forcing.Omega;
+        document.getElementById('forcingFractionInput').value = appState.forcing.fraction;
+        setActive('.preset-btn[data-forcing-subset]', 'forcingSubset', appState.forcing.subset);
+        document.getElementById('speedSlider').value = appState.speedMultiplier;
+        document.getElementById('speedValue').textContent = `×${appState.speedMultiplier.toFixed(2)}`;
+
+        setActive('.preset-btn[data-topology]', 'topology', appState.topologyType);
+        setActive('.preset-btn[data-freq]', 'freq', appState.frequencyType);
+        document.getElementById('freqMeanInput').value = appState.frequencyParams.mean;
+        document.getElementById('freqWidthInput').value = appState.frequencyParams.width;
+        document.getElementById('freqQuantileCheck').checked = appState.frequencyParams.sampling === 'quantile';
+        document.getElementById('freqListRow').style.display = appState.frequencyType === 'custom' ? 'block' : 'none';
+        setActive('.preset-btn[data-integrator]', 'integrator', appState.integrator);
+        document.getElementById('atolInput').value = appState.atol;
+        document.getElementById('rtolInput').value = appState.rtol;
+        document.getElementById('toleranceRow').style.display = appState.integrator === 'rk45' ? 'flex' : 'none';
+        document.getElementById('topologyKInput').value = appState.topologyParams.k;
+        document.getElementById('topologyPInput').value = appState.topologyParams.p;
+        document.getElementById('topologyKappaInput').value = appState.topologyParams.kappa;
+        document.getElementById('twistQInput').value = appState.initParams.q;
+        document.getElementById('twistNoiseInput').value = appState.initParams.noise;
+    }
+
+    /**
+     * @param {number} r - Order parameter
+     * @param {number} q - Winding number
+     * @param {number} variance - Circular phase variance
+     * @param {Object} state - StateClassifier verdict
+     */
+    updateDisplays(r, q, variance, state) {
         document.getElementById('rValue').textContent = r.toFixed(3);
         document.getElementById('qValue').textContent = q;
         document.getElementById('varValue').textContent = variance.toFixed(3);
         document.getElementById('kValue').textContent = appState.K.toFixed(2);
         document.getElementById('kSlider').value = appState.K;
-        document.getElementById('stateLabel').textContent = `État : ${this.simulator.classifyState()}`;
+        const label = describeState(state, this.simulator.getCoherenceFractions());
+        document.getElementById('stateLabel').textContent =
+            `État : ${label}${state.converged ? ' ✓' : ' (non convergé)'}`;
+        document.getElementById('integratorStats').textContent =
+            `h = ${this.simulator.lastStepSize.toPrecision(3)} · rejets : ${this.simulator.rejectedSteps}`;
+
+        const step = appState.sweepStep;
+        document.getElementById('sweepStatus').textContent = step
+            ? `K = ${appState.K.toFixed(2)} (${step.index + 1}/${appState.getSweepStepCount()}) · ` +
+              (step.phase === 'transient'
+                  ? `transitoire ${step.elapsed.toFixed(1)}/${appState.quasiStatic.transient}`
+                  : `mesure ${step.elapsed.toFixed(1)}/${appState.quasiStatic.measure}`)
+            : `${appState.hysteresisBranches.length} branche${appState.hysteresisBranches.length > 1 ? 's' : ''} enregistrée${appState.hysteresisBranches.length > 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Entrainment by the external drive
+     * @param {{fraction: number, meanDetuning: number}|null} result - From entrainment(), null while
+     *        the effective frequencies cover too short a window
+     */
+    updateEntrainment(result) {
+        const { F, Omega } = appState.forcing;
+        const stats = document.getElementById('entrainmentStats');
+        if (F === 0) {
+            stats.textContent = 'Forçage inactif (F = 0)';
+        } else if (!result) {
+            stats.textContent = `Ω = ${Omega.toFixed(2)} · mesure en cours...`;
+        } else {
+            const verdict = result.fraction === 1 ? 'entraîné ✓' : result.fraction > 0 ? 'partiellement entraîné' : 'non entraîné';
+            stats.textContent = `${verdict} · ${Math.round(result.fraction * 100)}% à Ω · ⟨Ωᵢ − Ω⟩ = ${result.meanDetuning.toFixed(3)}`;
+        }
     }
 }
@@ -0,0 +1,262 @@
+/**
+ * Data Export
+ * CSV/JSON downloads of r(t), ψ(t), q(t), the hysteresis sweeps,
+ * experiment results and recorded phase matrices θᵢ(t)
+ */
+
+import { appState } from './state.js';
+
+// Upper bound on recorded frames (N = 500 → 10⁷ values)
+const MAX_RECORDED_FRAMES = 20000;
+
+/**
+ * Trigger a browser download of a text file
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * CSV text, with optional leading `# key=value` lines (read with pandas' comment='#')
+ * @param {string[]} header
+ * @param {Array<Array<number|string>>} rows
+ * @param {Object} meta - Parameters written as comments
+ * @returns {string}
+ */
+export function toCSV(header, rows, meta = null) {
+    const lines = meta
+        ? Object.entries(meta).map(([key, value]) =>
+            `# ${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        : [];
+    lines.push(header.join(','));
+    for (const row of rows) lines.push(row.join(','));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * r(t), ψ(t), q(t) from the history buffers
+ * @returns {{columns: string[], rows: number[][]}}
+ */
+export function timeSeriesTable(state) {
+    return {
+        columns: ['t', 'r', 'psi', 'q'],
+        rows: state.rHistory.map((r, i) => [state.tHistory[i], r, state.psiHistory[i], state.qHistory[i]])
+    };
+}
+
+/**
+ * Up and down sweeps as (direction, K, r, std, branch) rows: continuous sweeps
+ * first (std and branch empty), then the quasi-static branches numbered from 0
+ */
+export function hysteresisTable(state) {
+    const label = direction => direction > 0 ? 'up' : 'down';
+    return {
+        columns: ['direction', 'K', 'r', 'std', 'branch'],
+        rows: [
+            ...state.hysteresisUp.map(({ K, r }) => ['up', K, r, null, null]),
+            ...state.hysteresisDown.map(({ K, r }) => ['down', K, r, null, null]),
+            ...state.hysteresisBranches.flatMap(({ direction, points }, b) =>
+                points.map(({ K, r, std }) => [label(direction), K, r, std, b]))
+        ]
+    };
+}
+
+/**
+ * Parameters of the current simulation, attached to the exports
+ */
+function currentParameters(simulator) {
+    return {
+        N: simulator.N,
+        K: appState.K,
+        alpha: appState.alpha,
+        noise: appState.noise,
+        dt: appState.getEffectiveDt(),
+        integrator: appState.integrator,
+        seed: appState.seed,
+        topologyType: appState.topologyType,
+        topologyParams: appState.topologyParams,
+        frequencyType: appState.frequencyType,
+        frequencyParams: appState.frequencyParams,
+        initType: appState.initType
+    };
+}
+
+export class DataExport {
+    /**
+     * @param {KuramotoSimulator} simulator
+     * @param {Experiments} experiments - Source of results and sweepResults
+     */
+    constructor(simulator, experiments) {
+        this.simulator = simulator;
+        this.experiments = experiments;
+        this.format = 'csv';
+        this.recording = null;   // { duration, params, t: [], phases: [] } while θᵢ(t) is recorded
+
+        document.querySelectorAll('.preset-btn[data-export-format]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('.preset-btn[data-export-format]').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.format = btn.dataset.exportFormat;
+            });
+        });
+
+        document.getElementById('exportSeriesBtn').addEventListener('click', () => this.exportSeries());
+        document.getElementById('exportHysteresisBtn').addEventListener('click', () => this.exportHysteresis());
+        document.getElementById('exportExperimentBtn').addEventListener('click', () => this.exportExperiment());
+        document.getElementById('exportSweepBtn').addEventListener('click', () => this.exportSweep());
+        document.getElementById('recordPhasesBtn').addEventListener('click', () => {
+            if (this.recording) this.finishRecording();
+            else this.startRecording();
+        });
+    }
+
+    /**
+     * Download a table in the selected format
+     */
+    save(name, { columns, rows }, meta) {
+        if (this.format === 'json') {
+            const data = { ...meta, columns, rows };
+            downloadFile(`${name}.json`, JSON.stringify(data), 'application/json');
+        } else {
+            downloadFile(`${name}.csv`, toCSV(columns, rows, meta), 'text/csv');
+        }
+    }
+
+    exportSeries() {
+        if (appState.rHistory.length === 0) {
+            this.setStatus('Aucune donnée r(t) : lancez la simulation');
+            return;
+        }
+        const params = currentParameters(this.simulator);
+        this.save(`kuramoto-serie-N${params.N}-K${params.K.toFixed(2)}`, timeSeriesTable(appState), params);
+        this.setStatus(`${appState.rHistory.length} points r(t), ψ(t), q(t) exportés`);
+    }
+
+    exportHysteresis() {
+        const table = hysteresisTable(appState);
+        if (table.rows.length === 0) {
+            this.setStatus('Aucun balayage K↑/K↓ enregistré');
+            return;
+        }
+        const { K, ...params } = currentParameters(this.simulator);
+        this.save(`kuramoto-hysteresis-N${params.N}`, table, params);
+        this.setStatus(`${table.rows.length} points (K, r) exportés`);
+    }
+
+    exportExperiment() {
+        const results = this.experiments.results;
+        if (!results) {
+            this.setStatus('Aucune expérience statistique lancée');
+            return;
+        }
+        const meta = {
+            ...results.config,
+            seed: results.seed,
+            requested: results.requested,
+            total: results.total,
+            cancelled: results.cancelled
+        };
+        const name = `kuramoto-experience-N${results.config.N}-K${results.config.K.toFixed(2)}`;
+        if (this.format === 'json') {
+            // Counts, then every replicate so that any of them can be replayed from its seed
+            const data = { ...meta, counts: results.counts, replicates: results.replicates };
+            downloadFile(`${name}.json`, JSON.stringify(data), 'application/json');
+        } else {
+            const rows = Object.entries(results.counts).map(([outcome, count]) =>
+                [outcome, count, count / results.total]);
+            downloadFile(`${name}.csv`, toCSV(['outcome', 'count', 'fraction'], rows, meta), 'text/csv');
+        }
+        this.setStatus(`Expérience exportée (${results.total} simulations)`);
+    }
+
+    exportSweep() {
+        const sweep = this.experiments.sweepResults;
+        if (!sweep) {
+            this.setStatus('Aucun balayage des bassins lancé');
+            return;
+        }
+        const { K, ...config } = sweep.config;
+        const meta = { ...config, M: sweep.M, seed: sweep.seed, cancelled: sweep.cancelled };
+        const table = {
+            columns: ['K', 'n', 'sync', 'q1', 'q2', 'other', 'timeout'],
+            rows: sweep.Ks.map((Kk, k) => {
+                const c = sweep.counts[k];
+                return [Kk, sweep.done[k], c.sync, c.q1, c.q2, c.other, sweep.timeouts[k]];
+            })
+        };
+        this.save(`kuramoto-bassins-N${config.N}`, table, meta);
+        this.setStatus(`${sweep.Ks.length} valeurs de K exportées`);
+    }
+
+    /**
+     * Start recording θᵢ(t) for the duration entered (in time units)
+     */
+    startRecording() {
+        const duration = parseFloat(document.getElementById('recordDurationInput').value);
+        if (!(duration > 0)) {
+            this.setStatus('Durée invalide');
+            return;
+        }
+        this.recording = { duration, params: currentParameters(this.simulator), t: [], phases: [] };
+        document.getElementById('recordPhasesBtn').textContent = '⏹ Arrêter';
+        this.setStatus(appState.running ? 'Enregistrement de θᵢ(t)...' : 'Enregistrement prêt : lancez la simulation');
+    }
+
+    /**
+     * Called after every rendered frame; records the phases while a window is open
+     * @param {number} t - Simulation time
+     */
+    recordFrame(t) {
+        const rec = this.recording;
+        if (!rec) return;
+
+        const last = rec.t.length ? rec.t[rec.t.length - 1] : null;
+        if (last !== null && t === last) return;          // Redraw without a step
+        if ((last !== null && t < last) || this.simulator.N !== rec.params.N) {
+            // Reset or resize: the window ends here
+            this.finishRecording();
+            return;
+        }
+
+        rec.t.push(t);
+        rec.phases.push(Array.from(this.simulator.phases));
+        this.setStatus(`Enregistrement de θᵢ(t) : ${(t - rec.t[0]).toFixed(1)} / ${rec.duration}`);
+        if (t - rec.t[0] >= rec.duration || rec.t.length >= MAX_RECORDED_FRAMES) {
+            this.finishRecording();
+        }
+    }
+
+    /**
+     * Close the recording window and download what was captured
+     */
+    finishRecording() {
+        const rec = this.recording;
+        this.recording = null;
+        document.getElementById('recordPhasesBtn').textContent = '⏺ Enregistrer';
+        if (!rec || rec.t.length === 0) {
+            this.setStatus('Enregistrement annulé (aucun pas de temps)');
+            return;
+        }
+
+        const N = rec.params.N;
+        const table = {
+            columns: ['t', ...Array.from({ length: N }, (_, i) => `theta_${i}`)],
+            rows: rec.t.map((t, k) => [t, ...rec.phases[k]])
+        };
+        this.save(`kuramoto-phases-N${N}-K${rec.params.K.toFixed(2)}`, table, rec.params);
+        this.setStatus(`${rec.t.length} instants × ${N} phases exportés`);
+    }
+
+    setStatus(text) {
+        document.getElementById('exportStatus').textContent = text;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Effective Frequencies
+ * Time-averaged frequencies Ωᵢ = ⟨dθᵢ/dt⟩ from the unwrapped phases, over
+ * a sliding window or since a marked instant, the frequency-locked
+ * clusters they reveal, and their locking to an external drive
+ */
+
+export class EffectiveFrequencies {
+    /**
+     * @param {number} window - Averaging window (time units)
+     * @param {number} resolution - Samples kept per window
+     */
+    constructor(window = 20, resolution = 200) {
+        this.window = window;
+        this.resolution = resolution;
+        this.reset(0);
+    }
+
+    /**
+     * Forget the recorded phases (e.g. after a reset or a change of N)
+     */
+    reset(N = this.N) {
+        this.N = N;
+        this.unwrapped = new Float64Array(N);    // θᵢ without the 2π wraps
+        this.previous = null;                    // Last observed (wrapped) phases
+        this.lastTime = null;
+        this.samples = [];                       // { time, phases } over the window, oldest first
+        this.values = new Float64Array(N);
+    }
+
+    /**
+     * Record the phases at `time`
+     * Observations must be close enough for phases to move by less than π in between;
+     * a time going backwards restarts the averages.
+     * @param {Float64Array} phases - Wrapped phases, as kept by the simulator
+     * @param {number} time - Simulation time
+     */
+    observe(phases, time) {
+        const N = phases.length;
+        if (N !== this.N || (this.lastTime !== null && time < this.lastTime)) {
+            this.reset(N);
+        }
+        if (time === this.lastTime) return;
+
+        const TWO_PI = 2 * Math.PI;
+        if (this.previous) {
+            for (let i = 0; i < N; i++) {
+                let delta = phases[i] - this.previous[i];
+                delta -= TWO_PI * Math.round(delta / TWO_PI);
+                this.unwrapped[i] += delta;
+            }
+            this.previous.set(phases);
+        } else {
+            this.previous = Float64Array.from(phases);
+            this.unwrapped.set(phases);
+        }
+        this.lastTime = time;
+
+        // Thin the samples to `resolution` per window, keeping one just older than the window
+        const last = this.samples[this.samples.length - 1];
+        if (!last || time - last.time >= this.window / this.resolution) {
+            this.samples.push(this.mark());
+        }
+        while (this.samples.length > 1 && time - this.samples[1].time >= this.window) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Time actually covered by the sliding window (shorter while it fills)
+     */
+    get elapsed() {
+        return this.samples.length > 0 ? this.lastTime - this.samples[0].time : 0;
+    }
+
+    /**
+     * Current instant, to average from with meanSince()
+     * @returns {{time: number, phases: Float64Array}}
+     */
+    mark() {
+        return { time: this.lastTime, phases: Float64Array.from(this.unwrapped) };
+    }
+
+    /**
+     * Ωᵢ averaged since a marked instant
+     * @param {{time: number, phases: Float64Array}} marker - From mark()
+     * @param {Float64Array} output
+     * @returns {Float64Array|null} - null if no time has elapsed
+     */
+    meanSince(marker, output = new Float64Array(this.N)) {
+        const elapsed = this.lastTime - marker.time;
+        if (!(elapsed > 0) || marker.phases.length !== this.N) return null;
+        for (let i = 0; i < this.N; i++) {
+            output[i] = (this.unwrapped[i] - marker.phases[i]) / elapsed;
+        }
+        return output;
+    }
+
+    /**
+     * Ωᵢ over the sliding window
+     * @returns {Float64Array|null} - null before two observations
+     */
+    compute() {
+        return this.samples.length > 0 ? this.meanSince(this.samples[0], this.values) : null;
+    }
+}
+
+/**
+ * Frequency-locked clusters: oscillators whose effective frequencies chain
+ * together with gaps below `tolerance`
+ * @param {Float64Array} values - Effective frequencies Ωᵢ
+ * @param {number} tolerance
+ * @returns {{labels: Int32Array, clusters: Array<{members: number[], frequency: number}>}} -
+ *          clusters of two or more oscillators by increasing frequency; labels[i] is the
+ *          index of i's cluster, or -1 if it drifts alone
+ */
+export function findClusters(values, tolerance = 2e-3) {
+    const N = values.length;
+    const order = Array.from({ length: N }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+    const labels = new Int32Array(N).fill(-1);
+    const clusters = [];
+
+    let start = 0;
+    for (let k = 1; k <= N; k++) {
+        if (k < N && values[order[k]] - values[order[k - 1]] <= tolerance) continue;
+        if (k - start >= 2) {
+            const members = order.slice(start, k).sort((a, b) => a - b);
+            const frequency = members.reduce((sum, i) => sum + values[i], 0) / members.length;
+            for (const i of members) labels[i] = clusters.length;
+            clusters.push({ members, frequency });
+        }
+        start = k;
+    }
+    return { labels, clusters };
+}
+
+/**
+ * Display colour of cluster `index` (golden-angle hues, distinct for neighbours)
+ */
+export function clusterColor(index) {
+    return `hsl(${(index * 137.5 + 50) % 360}, 75%, 62%)`;
+}
+
+/**
+ * How much of the population is entrained by a drive at frequency Ω
+ * @param {Float64Array} values - Effective frequencies Ωᵢ
+ * @param {number} Omega - Drive frequency
+ * @param {number} tolerance - Max |Ωᵢ − Ω| of an entrained oscillator
+ * @returns {{fraction: number, meanDetuning: number}} - share of entrained oscillators and mean of Ωᵢ − Ω
+ */
+export function entrainment(values, Omega, tolerance = 1e-2) {
+    let locked = 0;
+    let detuning = 0;
+    for (const value of values) {
+        if (Math.abs(value - Omega) <= tolerance) locked++;
+        detuning += value - Omega;
+    }
+    return { fraction: locked / values.length, meanDetuning: detuning / values.length };
+}
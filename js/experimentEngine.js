@@ -0,0 +1,238 @@
+/**
+ * Experiment Engine
+ * DOM-free core of the statistical experiments: replicates, outcome
+ * classification, job planning and result merging. Shared by the
+ * browser (experiments.js, experimentWorker.js) and the Node batch runner.
+ */
+
+import { KuramotoSimulator } from './kuramoto.js';
+import { deriveSeed, randomSeed } from './random.js';
+import { StateClassifier } from './classifier.js';
+
+/**
+ * Run one replicate from its own seed, until its state has converged
+ * (see StateClassifier) or `steps` steps have been taken
+ * Replaying the returned config in the main view reproduces it exactly.
+ * @param {Object} config - { N, K, alpha, noise, forcing, steps, dt, integrator, atol, rtol, topologyType, topologyParams, frequencyType, frequencyParams, initType, initParams, tolerances }
+ * @param {number} seed - Replicate seed
+ * @returns {{seed: number, r: number, q: number, state: string, time: number, outcome: string}} - outcome as in classifyOutcome
+ */
+export function runReplicate(config, seed) {
+    const sim = new KuramotoSimulator(config.N);
+    sim.setCoupling(config.K);
+    sim.setPhaseLag(config.alpha ?? 0);
+    sim.setNoise(config.noise ?? 0);
+    if (config.forcing) sim.setForcing(config.forcing);
+    sim.setIntegrator(config.integrator, { atol: config.atol, rtol: config.rtol });
+    sim.initialize({ ...config, seed, initType: config.initType ?? 'random' });
+
+    const classifier = new StateClassifier(config.tolerances);
+    let steps = 0;
+    classifier.observe(sim, 0);
+    while (steps < config.steps && !classifier.converged) {
+        sim.advance(config.dt);
+        steps++;
+        classifier.observe(sim, steps * config.dt);
+    }
+
+    // Classify result
+    const { r } = sim.getOrderParameter();
+    const result = classifier.classify(sim);
+
+    return { seed, r, q: result.q, state: result.state, time: steps * config.dt, outcome: classifyOutcome(result) };
+}
+
+/**
+ * Replicate configuration with defaults filled in
+ * @param {number} N
+ * @param {number} K
+ * @param {number} steps - Step limit per replicate
+ * @param {Object} options - { alpha, noise, forcing, dt, integrator, atol, rtol, topologyType, topologyParams, frequencyType, frequencyParams, initType, initParams, tolerances }
+ * @returns {Object}
+ */
+export function buildConfig(N, K, steps, options = {}) {
+    return {
+        N,
+        K,
+        alpha: options.alpha ?? 0,
+        noise: options.noise ?? 0,
+        forcing: options.forcing ?? null,
+        steps,
+        dt: options.dt ?? 0.02,
+        integrator: options.integrator ?? 'euler',
+        atol: options.atol,
+        rtol: options.rtol,
+        topologyType: options.topologyType ?? 'ring',
+        topologyParams: options.topologyParams ?? { k: 1 },
+        frequencyType: options.frequencyType ?? 'identical',
+        frequencyParams: options.frequencyParams ?? {},
+        initType: options.initType ?? 'random',
+        initParams: options.initParams ?? {},
+        tolerances: options.tolerances ?? {}
+    };
+}
+
+/**
+ * Split the seeds of `count` replicates into chunks small enough for a smooth
+ * progress bar (sized on the whole run, `totalReplicates`) but large enough
+ * to amortise worker messaging
+ */
+function chunkSeeds(baseSeed, count, totalReplicates) {
+    const chunkSize = Math.max(1, Math.min(50, Math.ceil(totalReplicates / 40)));
+    const chunks = [];
+    for (let start = 0; start < count; start += chunkSize) {
+        const seeds = [];
+        for (let i = start; i < Math.min(count, start + chunkSize); i++) {
+            seeds.push(deriveSeed(baseSeed, i));
+        }
+        chunks.push(seeds);
+    }
+    return chunks;
+}
+
+/**
+ * Plan a single-K experiment
+ * Jobs ({ config, seeds }) can run in any order; merge() folds each one into `results`.
+ * @param {number} numSims - Number of replicates
+ * @param {number} K - Coupling strength
+ * @param {number} N - Number of oscillators
+ * @param {number} steps - Step limit per replicate
+ * @param {Object} options - buildConfig options, plus the base seed
+ * @returns {{results: Object, jobs: Object[], merge: function(number, Object[]), finish: function(boolean)}}
+ */
+export function planExperiment(numSims, K, N = 16, steps = 2000, options = {}) {
+    const baseSeed = options.seed ?? randomSeed();
+    const config = buildConfig(N, K, steps, options);
+
+    const results = {
+        counts: {},              // outcome → number of replicates
+        total: 0,                // completed replicates
+        requested: numSims,
+        cancelled: false,
+        seed: baseSeed,
+        config,
+        replicates: []
+    };
+
+    const jobs = chunkSeeds(baseSeed, numSims, numSims).map(seeds => ({ config, seeds }));
+    const byJob = new Array(jobs.length);
+
+    return {
+        results,
+        jobs,
+        merge(jobId, replicates) {
+            byJob[jobId] = replicates;
+            for (const replicate of replicates) {
+                results.counts[replicate.outcome] = (results.counts[replicate.outcome] || 0) + 1;
+            }
+            results.total += replicates.length;
+        },
+        finish(cancelled) {
+            // Keep replicates in seed order regardless of completion order
+            results.replicates = byJob.filter(Boolean).flat();
+            results.cancelled = cancelled;
+        }
+    };
+}
+
+/**
+ * Plan a basin-of-attraction sweep: M replicates at each of numK values of K in [Kmin, Kmax]
+ * The same M seeds are used at every K (common random numbers), so the
+ * fraction curves are not blurred by resampling the initial conditions.
+ * @param {Object} sweep - { Kmin, Kmax, numK, M }
+ * @param {number} N - Number of oscillators
+ * @param {number} steps - Step limit per replicate
+ * @param {Object} options - Same as planExperiment()
+ * @returns {{results: Object, jobs: Object[], merge: function(number, Object[]), finish: function(boolean)}}
+ */
+export function planBasinSweep({ Kmin, Kmax, numK, M }, N = 16, steps = 2000, options = {}) {
+    const baseSeed = options.seed ?? randomSeed();
+    const Ks = Array.from({ length: numK }, (_, k) => numK > 1 ? Kmin + (Kmax - Kmin) * k / (numK - 1) : Kmin);
+    const results = {
+        Ks,
+        M,
+        seed: baseSeed,
+        config: buildConfig(N, Ks[0], steps, options),
+        counts: Ks.map(() => ({ sync: 0, q1: 0, q2: 0, other: 0 })),
+        timeouts: Ks.map(() => 0),   // Replicates stopped by the step limit (counted in 'other')
+        done: Ks.map(() => 0),
+        cancelled: false
+    };
+
+    const seedChunks = chunkSeeds(baseSeed, M, numK * M);
+    const jobs = [];
+    const jobK = [];
+    Ks.forEach((K, kIndex) => {
+        const config = buildConfig(N, K, steps, options);
+        seedChunks.forEach(seeds => {
+            jobs.push({ config, seeds });
+            jobK.push(kIndex);
+        });
+    });
+
+    return {
+        results,
+        jobs,
+        merge(jobId, replicates) {
+            const kIndex = jobK[jobId];
+            for (const replicate of replicates) {
+                results.counts[kIndex][basinGroup(replicate.outcome)]++;
+                if (replicate.outcome === 'timeout') results.timeouts[kIndex]++;
+            }
+            results.done[kIndex] += replicates.length;
+        },
+        finish(cancelled) {
+            results.cancelled = cancelled;
+        }
+    };
+}
+
+/**
+ * Run planned jobs synchronously on the current thread
+ * @param {Object[]} jobs - { config, seeds }
+ * @param {function(number, Object[])} merge
+ * @param {function(number, number)} onProgress - (completed jobs, total jobs)
+ */
+export function runJobs(jobs, merge, onProgress = null) {
+    jobs.forEach(({ config, seeds }, jobId) => {
+        merge(jobId, seeds.map(seed => runReplicate(config, seed)));
+        if (onProgress) onProgress(jobId + 1, jobs.length);
+    });
+}
+
+/**
+ * Coarse basin group used by the K sweep: 'sync', 'q1' (q = ±1), 'q2' (q = ±2) or 'other' (timeouts included)
+ */
+export function basinGroup(outcome) {
+    if (outcome === 'sync') return 'sync';
+    if (outcome === 'q=1' || outcome === 'q=-1') return 'q1';
+    if (outcome === 'q=2' || outcome === 'q=-2') return 'q2';
+    return 'other';
+}
+
+/**
+ * Final-state category: 'sync' (locked, q = 0), 'q=<q>' (twisted), 'other'
+ * (partially locked or drifting) or 'timeout' (not converged)
+ * @param {{state: string, q: number, converged: boolean}} result - From StateClassifier.classify()
+ * @returns {string}
+ */
+export function classifyOutcome({ state, q, converged }) {
+    if (!converged) return 'timeout';
+    if (state === 'phaseLocked' || state === 'frequencyLocked') return 'sync';
+    if (state === 'twisted') return `q=${q}`;
+    return 'other';
+}
+
+/**
+ * Outcome keys in display order: sync, then q by |q| (negative first), other, timeout
+ */
+export function sortOutcomes(keys) {
+    const rank = key => {
+        if (key === 'sync') return -Infinity;
+        if (key === 'other') return Number.MAX_VALUE;
+        if (key === 'timeout') return Infinity;
+        const q = parseInt(key.slice(2));
+        return Math.abs(q) * 2 + (q > 0 ? 1 : 0);
+    };
+    return [...keys].sort((a, b) => rank(a) - rank(b));
+}
@@ -0,0 +1,14 @@
+/**
+ * Experiment Worker
+ * Runs a chunk of replicates off the main thread
+ * Message in:  { jobId, config, seeds }
+ * Message out: { jobId, replicates }
+ */
+
+import { runReplicate } from './experimentEngine.js';
+
+self.onmessage = (e) => {
+    const { jobId, config, seeds } = e.data;
+    const replicates = seeds.map(seed => runReplicate(config, seed));
+    self.postMessage({ jobId, replicates });
+};
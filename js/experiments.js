@@ -1,93 +1,262 @@
 /**
  * Statistical Experiments Module
  * Runs multiple simulations to analyze basins of attraction
+ * (engine in experimentEngine.js, this module drives it from the page)
  */
 
-import { KuramotoSimulator } from './kuramoto.js';
+import { planExperiment, planBasinSweep, runReplicate, sortOutcomes } from './experimentEngine.js';
+import { WorkerPool } from './workerPool.js';
+import { BasinPlot } from './basinPlot.js';
+
+/**
+ * Display label and colour of an outcome
+ */
+export function describeOutcome(key) {
+    if (key === 'sync') return { label: 'Synchro (q=0)', color: '#10b981' };
+    if (key === 'other') return { label: 'Partiel / dérive', color: '#64748b' };
+    if (key === 'timeout') return { label: 'Non convergé', color: '#f59e0b' };
+    const q = parseInt(key.slice(2));
+    // Hue drifts from indigo towards pink with |q|
+    const hue = 239 + Math.min(Math.abs(q) - 1, 6) * 15;
+    return { label: `Twisted q=${q}`, color: `hsl(${hue}, 80%, ${q > 0 ? 65 : 55}%)` };
+}
 
 export class Experiments {
-    constructor() {
+    /**
+     * @param {function(Object)} onReplay - Called with a replicate configuration to load in the main view
+     */
+    constructor(onReplay = null) {
         this.results = null;
+        this.onReplay = onReplay;
+        this.pool = null;
+        this.inlineRun = null;
+        this.runId = 0;              // Current run; a superseded run leaves the display alone
+        this.sweepResults = null;
+        this.basinPlot = new BasinPlot(document.getElementById('basinCanvas'));
+
+        document.getElementById('cancelExperimentBtn').addEventListener('click', () => this.cancel());
+
+        document.getElementById('experimentResults').addEventListener('click', (e) => {
+            const chip = e.target.closest('.seed-chip');
+            if (chip && this.results && this.onReplay) {
+                this.onReplay({
+                    ...this.results.config,
+                    seed: parseInt(chip.dataset.seed)
+                });
+            }
+        });
     }
 
     /**
      * Run statistical experiment
+     * Replicates are split into chunks and run on a pool of Web Workers
+     * (or inline when workers are unavailable); counts are merged as chunks finish.
      * @param {number} numSims - Number of simulations
      * @param {number} K - Coupling strength
      * @param {number} N - Number of oscillators
-     * @param {number} steps - Integration steps per simulation
+     * @param {number} steps - Step limit per simulation (each stops once converged)
+     * @param {Object} options - { seed, alpha, noise, dt, integrator, atol, rtol, topologyType, topologyParams, frequencyType, frequencyParams, tolerances }
      */
-    async run(numSims, K, N = 16, steps = 2000) {
-        const results = {
-            sync: 0,
-            twisted1: 0,
-            twisted2: 0,
-            other: 0,
-            total: numSims
-        };
+    async run(numSims, K, N = 16, steps = 2000, options = {}) {
+        this.cancel();
+        const runId = ++this.runId;
 
-        const resultsDiv = document.getElementById('experimentResults');
-        resultsDiv.innerHTML = '<p style="color: var(--accent-tertiary);">Simulation en cours...</p>';
-
-        for (let i = 0; i < numSims; i++) {
-            const sim = new KuramotoSimulator(N);
-            sim.setCoupling(K);
-            sim.setFrequencies('identical');
-            sim.setInitialPhases('random');
+        const plan = planExperiment(numSims, K, N, steps, options);
+        const results = plan.results;
+        this.results = results;
 
-            // Run simulation
-            for (let s = 0; s < steps; s++) {
-                sim.step(0.02);
-            }
+        let lastDisplay = 0;
+        const merge = ({ jobId, replicates }) => {
+            plan.merge(jobId, replicates);
+            this.updateProgress(results.total, numSims);
 
-            // Classify result
-            const { r } = sim.getOrderParameter();
-            const q = sim.getWindingNumber();
-
-            if (r > 0.85) {
-                results.sync++;
-            } else if (Math.abs(q) === 1) {
-                results.twisted1++;
-            } else if (Math.abs(q) === 2) {
-                results.twisted2++;
-            } else {
-                results.other++;
+            // Partial results, at most every 200 ms
+            const now = Date.now();
+            if (now - lastDisplay > 200) {
+                lastDisplay = now;
+                this.displayResults(results, K);
             }
+        };
 
-            // Progress update
-            if (i % 10 === 0) {
-                resultsDiv.innerHTML = `<p style="color: var(--accent-tertiary);">Simulation ${i + 1}/${numSims}...</p>`;
-                await new Promise(r => setTimeout(r, 0));
-            }
-        }
+        document.getElementById('experimentResults').innerHTML =
+            '<p style="color: var(--accent-tertiary);">Simulation en cours...</p>';
+        const outcome = await this.execute(plan.jobs, merge, numSims, runId);
+        if (!outcome) return null;
 
-        this.results = results;
+        plan.finish(outcome.cancelled);
         this.displayResults(results, K);
         return results;
     }
 
+    /**
+     * Basin-of-attraction sweep across K (see planBasinSweep)
+     * @param {Object} sweep - { Kmin, Kmax, numK, M }
+     * @param {number} N - Number of oscillators
+     * @param {number} steps - Step limit per simulation
+     * @param {Object} options - Same as run()
+     */
+    async runSweep(sweep, N = 16, steps = 2000, options = {}) {
+        this.cancel();
+        const runId = ++this.runId;
+
+        const plan = planBasinSweep(sweep, N, steps, options);
+        const sweepResults = plan.results;
+        this.sweepResults = sweepResults;
+        const total = sweep.numK * sweep.M;
+
+        let completed = 0;
+        const merge = ({ jobId, replicates }) => {
+            plan.merge(jobId, replicates);
+            completed += replicates.length;
+            this.updateProgress(completed, total);
+            this.basinPlot.render(sweepResults);
+        };
+
+        document.getElementById('experimentResults').innerHTML =
+            '<p style="color: var(--accent-tertiary);">Balayage en cours...</p>';
+        const outcome = await this.execute(plan.jobs, merge, total, runId);
+        if (!outcome) return null;
+        plan.finish(outcome.cancelled);
+        this.basinPlot.render(sweepResults);
+        this.displaySweepSummary(sweepResults, completed);
+        return sweepResults;
+    }
+
+    /**
+     * Run jobs on the worker pool (or inline), showing progress meanwhile
+     * @param {number} runId - Run the jobs belong to; once another run has
+     *        started, this one no longer touches the progress bar or the results
+     * @returns {Promise<Object|null>} - { cancelled }, or null when a job failed
+     *          (the error is shown) or another run has started
+     */
+    async execute(jobs, merge, total, runId) {
+        this.setRunning(true);
+        this.updateProgress(0, total);
+        try {
+            const outcome = WorkerPool.isSupported()
+                ? await this.getPool().run(jobs, merge)
+                : await this.runInline(jobs, merge);
+            return runId === this.runId ? outcome : null;
+        } catch (err) {
+            if (runId !== this.runId) return null;
+            this.cancel();
+            const message = document.createElement('p');
+            message.className = 'form-error';
+            message.textContent = `Échec de l'expérience : ${err.message ?? err}`;
+            document.getElementById('experimentResults').replaceChildren(message);
+            return null;
+        } finally {
+            if (runId === this.runId) this.setRunning(false);
+        }
+    }
+
+    /**
+     * Worker pool, created on first use
+     */
+    getPool() {
+        if (!this.pool) {
+            this.pool = new WorkerPool(new URL('./experimentWorker.js', import.meta.url));
+        }
+        return this.pool;
+    }
+
+    /**
+     * Main-thread fallback: one chunk per macrotask so the page stays responsive
+     */
+    async runInline(jobs, onResult) {
+        const run = { cancelled: false };
+        this.inlineRun = run;
+
+        for (let jobId = 0; jobId < jobs.length; jobId++) {
+            await new Promise(r => setTimeout(r, 0));
+            if (run.cancelled) return { cancelled: true };
+            const { config, seeds } = jobs[jobId];
+            onResult({ jobId, replicates: seeds.map(seed => runReplicate(config, seed)) });
+        }
+
+        this.inlineRun = null;
+        return { cancelled: false };
+    }
+
+    /**
+     * Cancel the experiment in progress (completed replicates are kept)
+     */
+    cancel() {
+        if (this.pool) this.pool.cancel();
+        if (this.inlineRun) {
+            this.inlineRun.cancelled = true;
+            this.inlineRun = null;
+        }
+    }
+
+    setRunning(running) {
+        document.getElementById('experimentProgress').style.display = running ? 'flex' : 'none';
+        document.getElementById('runExperimentBtn').disabled = running;
+        document.getElementById('runSweepBtn').disabled = running;
+    }
+
+    updateProgress(done, total) {
+        document.getElementById('experimentProgressBar').style.width = `${(done / total) * 100}%`;
+        document.getElementById('experimentProgressText').textContent = `${done}/${total}`;
+    }
+
     displayResults(results, K) {
         const div = document.getElementById('experimentResults');
-        const total = results.total;
+        const total = Math.max(1, results.total);
+        const { steps, dt } = results.config;
+        const timeouts = results.counts.timeout || 0;
+        const meanTime = results.replicates.length > 0
+            ? results.replicates.reduce((sum, rep) => sum + rep.time, 0) / results.replicates.length
+            : null;
 
-        const syncPct = ((results.sync / total) * 100).toFixed(1);
-        const t1Pct = ((results.twisted1 / total) * 100).toFixed(1);
-        const t2Pct = ((results.twisted2 / total) * 100).toFixed(1);
-        const otherPct = ((results.other / total) * 100).toFixed(1);
+        const bars = sortOutcomes(Object.keys(results.counts)).map(outcome => {
+            const { label, color } = describeOutcome(outcome);
+            const pct = ((results.counts[outcome] / total) * 100).toFixed(1);
+            return this.createBar(label, pct, color);
+        });
 
         div.innerHTML = `
             <div style="margin-bottom: 10px; font-size: 12px; color: var(--text-secondary);">
-                K = ${K.toFixed(2)}, N = ${total} simulations
+                K = ${K.toFixed(2)}, N = ${results.config.N}, ${results.total} simulations, graine ${results.seed}
+                <br>${timeouts} non convergée${timeouts > 1 ? 's' : ''} à t = ${(steps * dt).toFixed(0)}${meanTime !== null ? `, durée moyenne ${meanTime.toFixed(1)}` : ''}
+                ${results.cancelled ? `<br>Annulée après ${results.total}/${results.requested}` : ''}
             </div>
             <div class="bar-chart">
-                ${this.createBar('Synchro (q=0)', syncPct, '#10b981')}
-                ${this.createBar('Twisted q=1', t1Pct, '#6366f1')}
-                ${this.createBar('Twisted q=2', t2Pct, '#8b5cf6')}
-                ${this.createBar('Autre', otherPct, '#64748b')}
+                ${bars.join('')}
             </div>
+            ${this.createReplayList(results)}
         `;
     }
 
+    displaySweepSummary(sweep, completed) {
+        const { Ks, M } = sweep;
+        const timeouts = sweep.timeouts.reduce((a, b) => a + b, 0);
+        document.getElementById('experimentResults').innerHTML = `
+            <div style="font-size: 12px; color: var(--text-secondary);">
+                K ∈ [${Ks[0].toFixed(2)}, ${Ks[Ks.length - 1].toFixed(2)}], ${Ks.length} valeurs × ${M} simulations,
+                N = ${sweep.config.N}, graine ${sweep.seed}
+                <br>${timeouts} non convergée${timeouts > 1 ? 's' : ''} à t = ${(sweep.config.steps * sweep.config.dt).toFixed(0)} (comptées dans « Autre »)
+                ${sweep.cancelled ? `<br>Annulé après ${completed}/${Ks.length * M}` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Seeds of the first few replicates of each outcome, clickable to replay
+     */
+    createReplayList(results) {
+        const rows = sortOutcomes(Object.keys(results.counts)).map(outcome => {
+            const seeds = results.replicates
+                .filter(rep => rep.outcome === outcome)
+                .slice(0, 4)
+                .map(rep => `<button class="seed-chip" data-seed="${rep.seed}" title="Rejouer">${rep.seed}</button>`);
+            const label = { sync: 'Synchro', other: 'Autre', timeout: 'Non conv.' }[outcome] ?? outcome;
+            return `<div class="replay-row"><span>${label}</span>${seeds.join('')}</div>`;
+        });
+
+        return `<div class="replay-list"><div class="replay-title">Rejouer une simulation :</div>${rows.join('')}</div>`;
+    }
+
     createBar(label, pct, color) {
         return `
             <div style="margin-bottom: 8px;">
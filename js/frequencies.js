@@ -0,0 +1,202 @@
+/**
+ * Natural Frequency Distributions
+ * Sampling of ωᵢ (random draws or deterministic quantiles)
+ * and the mean-field critical coupling Kc = 2/(π g(0))
+ */
+
+import { gaussian } from './random.js';
+
+export const FREQUENCY_TYPES = ['identical', 'random', 'twoGroups', 'gaussian', 'lorentzian', 'bimodal', 'custom'];
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, |ε| < 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number}
+ */
+export function inverseNormalCDF(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+        1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+        6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+        -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+        3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Standard normal CDF (Abramowitz–Stegun 7.1.26 erf approximation)
+ */
+function normalCDF(x) {
+    const z = Math.abs(x) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * z);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+        t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z);
+    return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Bimodal distribution: equal mixture of two Gaussians
+ * centred at mean ± width, each of standard deviation width/2
+ */
+function bimodalQuantile(u, mean, width) {
+    const sigma = width / 2;
+    const cdf = x => 0.5 * (normalCDF((x - mean + width) / sigma) + normalCDF((x - mean - width) / sigma));
+    let lo = mean - width - 10 * sigma;
+    let hi = mean + width + 10 * sigma;
+    for (let iter = 0; iter < 60; iter++) {
+        const mid = (lo + hi) / 2;
+        if (cdf(mid) < u) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Quantile function F⁻¹(u) of a distribution
+ * @param {string} type - 'random' (uniform), 'gaussian', 'lorentzian', 'bimodal'
+ * @param {number} u - Probability in (0, 1)
+ * @param {Object} params - { mean, width }
+ * @returns {number}
+ */
+export function quantile(type, u, { mean = 1, width = 0.2 } = {}) {
+    switch (type) {
+        case 'random':
+            return mean + width * (2 * u - 1);
+        case 'gaussian':
+            return mean + width * inverseNormalCDF(u);
+        case 'lorentzian':
+            return mean + width * Math.tan(Math.PI * (u - 0.5));
+        case 'bimodal':
+            return bimodalQuantile(u, mean, width);
+        default:
+            return mean;
+    }
+}
+
+/**
+ * Fill `out` with N natural frequencies
+ * Quantile sampling takes ωᵢ = F⁻¹((i + ½)/N) and shuffles them with rng,
+ * so the values are deterministic but the ring has no frequency gradient.
+ * @param {string} type - One of FREQUENCY_TYPES
+ * @param {Float64Array} out - Destination (length N)
+ * @param {Object} params - { mean, width, sampling: 'random' | 'quantile', values }
+ * @param {function(): number} rng - Uniform [0, 1) generator
+ */
+export function sampleFrequencies(type, out, params = {}, rng = Math.random) {
+    const N = out.length;
+    const mean = params.mean ?? 1;
+    const width = params.width ?? 0.2;
+
+    switch (type) {
+        case 'identical':
+            out.fill(mean);
+            return;
+        case 'twoGroups':
+            for (let i = 0; i < N; i++) {
+                out[i] = (i < N / 2) ? mean - width : mean + width;
+            }
+            return;
+        case 'custom': {
+            const values = params.values || [];
+            for (let i = 0; i < N; i++) {
+                out[i] = values.length ? values[i % values.length] : mean;
+            }
+            return;
+        }
+    }
+
+    if (params.sampling === 'quantile') {
+        for (let i = 0; i < N; i++) {
+            out[i] = quantile(type, (i + 0.5) / N, { mean, width });
+        }
+        // Fisher–Yates shuffle
+        for (let i = N - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return;
+    }
+
+    for (let i = 0; i < N; i++) {
+        switch (type) {
+            case 'gaussian':
+                out[i] = mean + width * gaussian(rng);
+                break;
+            case 'bimodal':
+                out[i] = mean + (rng() < 0.5 ? -width : width) + (width / 2) * gaussian(rng);
+                break;
+            default:
+                out[i] = quantile(type, rng(), { mean, width });
+        }
+    }
+}
+
+/**
+ * Density at the centre g(mean) for unimodal symmetric distributions
+ * @returns {number|null} - null when Kc = 2/(π g(0)) does not apply
+ */
+export function centralDensity(type, { width = 0.2 } = {}) {
+    switch (type) {
+        case 'identical':
+            return Infinity;
+        case 'random':
+            return 1 / (2 * width);
+        case 'gaussian':
+            return 1 / (width * Math.sqrt(2 * Math.PI));
+        case 'lorentzian':
+            return 1 / (Math.PI * width);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Mean-field (all-to-all, N → ∞) critical coupling Kc = 2/(π g(0))
+ * @returns {number|null} - null when the formula does not apply, including
+ *          identical frequencies (a delta distribution synchronizes at any K > 0)
+ */
+export function criticalCoupling(type, params = {}) {
+    const g0 = centralDensity(type, params);
+    if (g0 === null || !Number.isFinite(g0)) return null;
+    return 2 / (Math.PI * g0);
+}
+
+/**
+ * Parse a pasted list of frequencies (separated by spaces, commas, semicolons or newlines)
+ * @param {string} text
+ * @returns {number[]}
+ * @throws {Error} - On a token that is not a number, or a length outside the range of N (3 to 500)
+ */
+export function parseFrequencyList(text) {
+    const tokens = text.split(/[\s,;]+/).filter(t => t.length > 0);
+    if (tokens.length === 0) {
+        throw new Error('Liste vide');
+    }
+    if (tokens.length < 3 || tokens.length > 500) {
+        throw new Error(`${tokens.length} valeur(s) : la liste fixe N, entre 3 et 500 valeurs attendues`);
+    }
+    return tokens.map((token, i) => {
+        const value = Number(token);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Valeur n°${i + 1} invalide : « ${token} »`);
+        }
+        return value;
+    });
+}
@@ -0,0 +1,65 @@
+/**
+ * Natural Frequency Histogram
+ * Small bar chart of the current ωᵢ with the mean-field Kc
+ */
+
+export class FrequencyHistogram {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.numBins = 24;
+        this.padding = { top: 6, right: 6, bottom: 16, left: 6 };
+    }
+
+    /**
+     * @param {Float64Array} frequencies - Current ωᵢ
+     * @param {number|null} Kc - Mean-field critical coupling (null if not defined)
+     */
+    render(frequencies, Kc = null) {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+        const N = frequencies.length;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, w, h);
+
+        // Range from the 2%–98% quantiles so Lorentzian tails don't squash the plot
+        const sorted = Float64Array.from(frequencies).sort();
+        let min = sorted[Math.floor(0.02 * (N - 1))];
+        let max = sorted[Math.ceil(0.98 * (N - 1))];
+        if (max - min < 1e-9) {
+            min -= 0.1;
+            max += 0.1;
+        }
+
+        // Out-of-range values go to the edge bins
+        const bins = new Array(this.numBins).fill(0);
+        for (let i = 0; i < N; i++) {
+            const b = Math.floor(((frequencies[i] - min) / (max - min)) * this.numBins);
+            bins[Math.max(0, Math.min(this.numBins - 1, b))]++;
+        }
+        const maxCount = Math.max(...bins);
+
+        const plotW = w - p.left - p.right;
+        const plotH = h - p.top - p.bottom;
+        const barW = plotW / this.numBins;
+
+        ctx.fillStyle = 'rgba(139, 92, 246, 0.8)';
+        for (let b = 0; b < this.numBins; b++) {
+            const barH = (bins[b] / maxCount) * plotH;
+            ctx.fillRect(p.left + b * barW + 1, h - p.bottom - barH, barW - 2, barH);
+        }
+
+        // Labels
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(min.toFixed(2), p.left, h - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(max.toFixed(2), w - p.right, h - 4);
+        ctx.textAlign = 'center';
+        ctx.fillText(Kc === null ? 'ω' : `Kc ≈ ${Kc.toFixed(2)}`, w / 2, h - 4);
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Effective Frequency Plot
+ * Ωᵢ against the natural frequencies ωᵢ, against the oscillator index, or
+ * against K along sweeps (cluster-merging staircase), coloured by cluster
+ */
+
+import { clusterColor } from './effectiveFrequencies.js';
+
+const MAX_STAIRCASE_COLUMNS = 2000;
+
+export class FrequencyPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { top: 12, right: 12, bottom: 26, left: 44 };
+        this.mode = 'natural';      // 'natural', 'index' or 'staircase'
+        this.staircase = [];        // { K, values } columns, in recording order
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    /**
+     * Add the effective frequencies measured around coupling K to the staircase
+     * @param {number} K
+     * @param {Float64Array} values
+     */
+    addStaircaseColumn(K, values) {
+        this.staircase.push({ K, values: Float32Array.from(values) });
+        if (this.staircase.length > MAX_STAIRCASE_COLUMNS) this.staircase.shift();
+    }
+
+    clearStaircase() {
+        this.staircase = [];
+    }
+
+    /**
+     * @param {Float64Array|null} effective - Ωᵢ (null while the window is empty)
+     * @param {Float64Array} natural - ωᵢ
+     * @param {{labels: Int32Array}|null} clustering - From findClusters()
+     * @param {number} window - Averaging time, shown in the corner
+     */
+    render(effective, natural, clustering, window) {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, w, h);
+
+        // Axes
+        ctx.strokeStyle = 'rgba(100, 100, 150, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(p.left, p.top);
+        ctx.lineTo(p.left, h - p.bottom);
+        ctx.lineTo(w - p.right, h - p.bottom);
+        ctx.stroke();
+
+        ctx.font = '10px monospace';
+        if (this.mode === 'staircase') {
+            this.renderStaircase();
+            return;
+        }
+        if (!effective) {
+            this.drawMessage('Fréquences effectives : en attente de données');
+            return;
+        }
+
+        const N = effective.length;
+        const xs = this.mode === 'natural' ? natural : Float64Array.from({ length: N }, (_, i) => i);
+        const [yMin, yMax] = paddedRange(effective, this.mode === 'natural' ? natural : null);
+        const [xMin, xMax] = this.mode === 'natural' ? [yMin, yMax] : [-0.5, N - 0.5];
+        const xOf = x => p.left + ((x - xMin) / (xMax - xMin)) * (w - p.left - p.right);
+        const yOf = y => h - p.bottom - ((y - yMin) / (yMax - yMin)) * (h - p.top - p.bottom);
+
+        // Diagonal Ω = ω: uncoupled oscillators sit on it, locked ones on plateaus
+        if (this.mode === 'natural') {
+            ctx.strokeStyle = 'rgba(100, 100, 150, 0.4)';
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(xOf(xMin), yOf(xMin));
+            ctx.lineTo(xOf(xMax), yOf(xMax));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        for (let i = 0; i < N; i++) {
+            const label = clustering ? clustering.labels[i] : -1;
+            ctx.fillStyle = label >= 0 ? clusterColor(label) : 'rgba(160, 160, 176, 0.7)';
+            ctx.beginPath();
+            ctx.arc(xOf(xs[i]), yOf(effective[i]), label >= 0 ? 3 : 2, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        this.drawLabels(yMin, yMax,
+            this.mode === 'natural' ? [xMin.toFixed(2), 'ωᵢ', xMax.toFixed(2)] : ['0', 'i', String(N - 1)],
+            `fenêtre ${window.toFixed(1)}`);
+    }
+
+    /**
+     * Ωᵢ against K, one column of points per recorded coupling
+     */
+    renderStaircase() {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+        if (this.staircase.length === 0) {
+            this.drawMessage('Escalier Ω(K) : lancer un balayage en K');
+            return;
+        }
+
+        let Kmin = Infinity;
+        let Kmax = -Infinity;
+        let yMin = Infinity;
+        let yMax = -Infinity;
+        for (const { K, values } of this.staircase) {
+            Kmin = Math.min(Kmin, K);
+            Kmax = Math.max(Kmax, K);
+            for (const v of values) {
+                yMin = Math.min(yMin, v);
+                yMax = Math.max(yMax, v);
+            }
+        }
+        [yMin, yMax] = paddedRange([yMin, yMax]);
+        if (Kmax - Kmin < 1e-9) {
+            Kmin -= 0.5;
+            Kmax += 0.5;
+        }
+        const xOf = K => p.left + ((K - Kmin) / (Kmax - Kmin)) * (w - p.left - p.right);
+        const yOf = y => h - p.bottom - ((y - yMin) / (yMax - yMin)) * (h - p.top - p.bottom);
+
+        ctx.fillStyle = 'rgba(6, 182, 212, 0.6)';
+        for (const { K, values } of this.staircase) {
+            const x = xOf(K);
+            for (const v of values) ctx.fillRect(x - 0.75, yOf(v) - 0.75, 1.5, 1.5);
+        }
+
+        this.drawLabels(yMin, yMax, [Kmin.toFixed(2), 'K', Kmax.toFixed(2)], `${this.staircase.length} pas`);
+    }
+
+    drawMessage(text) {
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, this.canvas.width / 2, this.canvas.height / 2);
+    }
+
+    /**
+     * Ω range on the y axis, [left, name, right] under the x axis and a note top right
+     */
+    drawLabels(yMin, yMax, xLabels, note) {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.textAlign = 'right';
+        ctx.fillText(yMax.toFixed(2), p.left - 4, p.top + 4);
+        ctx.fillText(yMin.toFixed(2), p.left - 4, h - p.bottom + 3);
+        ctx.fillText(note, w - p.right, p.top + 4);
+        ctx.textAlign = 'left';
+        ctx.fillText('Ωᵢ', 4, p.top + (h - p.top - p.bottom) / 2);
+        ctx.fillText(xLabels[0], p.left, h - p.bottom + 12);
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabels[1], p.left + (w - p.left - p.right) / 2, h - p.bottom + 12);
+        ctx.textAlign = 'right';
+        ctx.fillText(xLabels[2], w - p.right, h - p.bottom + 12);
+    }
+}
+
+/**
+ * [min, max] of the given arrays with 5% margins (and a minimum height)
+ */
+function paddedRange(values, extra = null) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const array of [values, extra]) {
+        if (!array) continue;
+        for (const v of array) {
+            min = Math.min(min, v);
+            max = Math.max(max, v);
+        }
+    }
+    const margin = Math.max(0.05 * (max - min), 0.05);
+    return [min - margin, max + margin];
+}
@@ -1,8 +1,18 @@
 /**
  * Graph Visualizations
  * r(t) time series and r(K) hysteresis plots
+ * (continuous sweeps as curves, quasi-static branches as averaged points with error bars),
+ * with ticks, zoom/pan, hover values and optional overlays: running mean of r,
+ * mean-field Kc and pinned curves from earlier runs
  */
 
+import { PlotView } from './plotAxes.js';
+
+const RUNNING_MEAN_WINDOW = 5;   // Time units averaged by the running mean of r
+const MAX_PINNED = 5;
+const HOVER_RADIUS = 20;         // Max distance (pixels) from the cursor to a hovered point
+const PIN_COLORS = ['251, 191, 36', '163, 230, 53', '167, 139, 250', '251, 146, 60', '148, 163, 184'];
+
 export class Graphs {
     constructor(rGraphCanvas, hysteresisCanvas) {
         this.rCanvas = rGraphCanvas;
@@ -11,128 +21,323 @@ export class Graphs {
         this.hCtx = hysteresisCanvas.getContext('2d');
 
         this.padding = { top: 20, right: 20, bottom: 30, left: 45 };
+        this.rView = new PlotView(rGraphCanvas, this.padding, () => this.redraw());
+        this.hView = new PlotView(hysteresisCanvas, this.padding, () => this.redraw());
+
+        this.overlays = { runningMean: false, criticalCoupling: true };
+        this.pinnedR = [];      // { t, r } copies of earlier r(t) histories
+        this.pinnedH = [];      // { up, down, branches } copies of earlier r(K) data
+
+        // Arguments of the last render, to redraw on zoom and hover without new data
+        this.lastR = null;
+        this.lastH = null;
     }
 
-    renderRGraph(rHistory) {
-        const ctx = this.rCtx;
-        const w = this.rCanvas.width;
-        const h = this.rCanvas.height;
-        const p = this.padding;
+    setOverlay(name, enabled) {
+        this.overlays[name] = enabled;
+        this.redraw();
+    }
 
-        ctx.fillStyle = '#0a0a0f';
-        ctx.fillRect(0, 0, w, h);
+    redraw() {
+        if (this.lastR) this.renderRGraph(...this.lastR);
+        if (this.lastH) this.renderHysteresis(...this.lastH);
+    }
 
-        const plotW = w - p.left - p.right;
-        const plotH = h - p.top - p.bottom;
+    /**
+     * Keep a copy of the current r(t) curve for comparison
+     */
+    pinRGraph() {
+        if (!this.lastR || this.lastR[1].length < 2) return;
+        this.pinnedR.push({ t: [...this.lastR[0]], r: [...this.lastR[1]] });
+        if (this.pinnedR.length > MAX_PINNED) this.pinnedR.shift();
+        this.redraw();
+    }
 
-        // Axes
-        ctx.strokeStyle = 'rgba(100, 100, 150, 0.5)';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(p.left, p.top);
-        ctx.lineTo(p.left, h - p.bottom);
-        ctx.lineTo(w - p.right, h - p.bottom);
-        ctx.stroke();
+    /**
+     * Keep a copy of the current r(K) curves and branches for comparison
+     */
+    pinHysteresis() {
+        if (!this.lastH) return;
+        const [up, down, branches, current] = this.lastH;
+        const all = current ? [...branches, current] : branches;
+        if (up.length + down.length + all.length === 0) return;
+        this.pinnedH.push({
+            up: up.map(p => ({ ...p })),
+            down: down.map(p => ({ ...p })),
+            branches: all.map(b => ({ direction: b.direction, points: b.points.map(p => ({ ...p })) }))
+        });
+        if (this.pinnedH.length > MAX_PINNED) this.pinnedH.shift();
+        this.redraw();
+    }
 
-        // Y-axis labels
-        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
-        ctx.font = '11px monospace';
-        ctx.textAlign = 'right';
-        ctx.fillText('1.0', p.left - 5, p.top + 5);
-        ctx.fillText('0.5', p.left - 5, p.top + plotH / 2 + 3);
-        ctx.fillText('0.0', p.left - 5, h - p.bottom + 3);
+    /**
+     * @param {string} graph - 'r' for r(t), 'hysteresis' for r(K)
+     */
+    clearPinned(graph) {
+        if (graph === 'r') this.pinnedR = [];
+        else this.pinnedH = [];
+        this.redraw();
+    }
 
-        // Grid lines
-        ctx.strokeStyle = 'rgba(100, 100, 150, 0.2)';
-        ctx.setLineDash([3, 3]);
-        ctx.beginPath();
-        ctx.moveTo(p.left, p.top + plotH / 2);
-        ctx.lineTo(w - p.right, p.top + plotH / 2);
-        ctx.stroke();
-        ctx.setLineDash([]);
+    /**
+     * @param {number[]} tHistory - Sample times
+     * @param {number[]} rHistory - r at these times
+     * @param {number|null} cursorTime - Time of the timeline frame shown, if any
+     */
+    renderRGraph(tHistory, rHistory, cursorTime = null) {
+        this.lastR = [tHistory, rHistory, cursorTime];
+        const ctx = this.rCtx;
+        const view = this.rView;
+        const n = rHistory.length;
 
-        // Plot r(t)
-        if (rHistory.length > 1) {
-            ctx.beginPath();
-            ctx.strokeStyle = 'rgba(6, 182, 212, 0.9)';
-            ctx.lineWidth = 2;
-
-            for (let i = 0; i < rHistory.length; i++) {
-                const x = p.left + (i / (rHistory.length - 1)) * plotW;
-                const y = h - p.bottom - rHistory[i] * plotH;
-                if (i === 0) ctx.moveTo(x, y);
-                else ctx.lineTo(x, y);
-            }
-            ctx.stroke();
+        if (n > 1) {
+            view.setDomain(tHistory[0], tHistory[n - 1], 0, 1);
+        } else if (this.pinnedR.length > 0) {
+            const { t } = this.pinnedR[this.pinnedR.length - 1];
+            view.setDomain(t[0], t[t.length - 1], 0, 1);
+        } else {
+            view.setDomain(0, 1, 0, 1);
         }
+        view.drawAxes(ctx, 't', 'r');
 
-        // X label
-        ctx.fillStyle = 'rgba(160, 160, 176, 0.6)';
-        ctx.textAlign = 'center';
-        ctx.fillText('temps →', w / 2, h - 5);
+        view.clip(ctx);
+        this.pinnedR.forEach(({ t, r }, k) => {
+            this.plotSeries(ctx, view, t, r, `rgba(${PIN_COLORS[k]}, 0.6)`, 1, [4, 3]);
+        });
+        this.plotSeries(ctx, view, tHistory, rHistory, 'rgba(6, 182, 212, 0.9)', 2);
+        const mean = this.overlays.runningMean ? runningMean(tHistory, rHistory, RUNNING_MEAN_WINDOW) : null;
+        if (mean) this.plotSeries(ctx, view, tHistory, mean, 'rgba(251, 191, 36, 0.9)', 1.5);
+        if (cursorTime !== null) this.verticalLine(ctx, view, cursorTime, 'rgba(236, 72, 153, 0.8)');
+        ctx.restore();
+
+        if (mean) {
+            ctx.font = '10px sans-serif';
+            ctx.fillStyle = 'rgba(251, 191, 36, 0.9)';
+            ctx.textAlign = 'right';
+            ctx.fillText(`⟨r⟩ ${RUNNING_MEAN_WINDOW} u.t.`, this.rCanvas.width - this.padding.right, this.padding.top - 8);
+        }
+
+        // Sample nearest to the cursor's time
+        const hover = view.hoverValue();
+        if (hover && n > 0) {
+            const i = nearestIndex(tHistory, hover.x);
+            const lines = [`t = ${tHistory[i].toFixed(2)}`, `r = ${rHistory[i].toFixed(4)}`];
+            if (mean) lines.push(`⟨r⟩ = ${mean[i].toFixed(4)}`);
+            view.drawTooltip(ctx, tHistory[i], rHistory[i], lines);
+        }
     }
 
-    renderHysteresis(upData, downData) {
+    /**
+     * @param {Array<{K, r}>} upData - Continuous sweep, K increasing
+     * @param {Array<{K, r}>} downData - Continuous sweep, K decreasing
+     * @param {Array<{direction, points}>} branches - Completed quasi-static branches, oldest first
+     * @param {{direction, points}|null} current - Quasi-static branch being measured
+     * @param {number|null} currentK - K of the step in progress
+     * @param {number|null} Kc - Mean-field critical coupling of the frequency distribution, if defined
+     */
+    renderHysteresis(upData, downData, branches = [], current = null, currentK = null, Kc = null) {
+        this.lastH = [upData, downData, branches, current, currentK, Kc];
         const ctx = this.hCtx;
+        const view = this.hView;
         const w = this.hCanvas.width;
-        const h = this.hCanvas.height;
         const p = this.padding;
+        const showKc = this.overlays.criticalCoupling && Number.isFinite(Kc);
 
-        ctx.fillStyle = '#0a0a0f';
-        ctx.fillRect(0, 0, w, h);
-
-        const plotW = w - p.left - p.right;
-        const plotH = h - p.top - p.bottom;
-
-        // Axes
-        ctx.strokeStyle = 'rgba(100, 100, 150, 0.5)';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(p.left, p.top);
-        ctx.lineTo(p.left, h - p.bottom);
-        ctx.lineTo(w - p.right, h - p.bottom);
-        ctx.stroke();
+        // K range of everything drawn, starting at 0
+        let Kmax = 0;
+        const extend = points => { for (const { K } of points) Kmax = Math.max(Kmax, K); };
+        for (const data of [{ up: upData, down: downData, branches: current ? [...branches, current] : branches }, ...this.pinnedH]) {
+            extend(data.up);
+            extend(data.down);
+            data.branches.forEach(b => extend(b.points));
+        }
+        if (currentK !== null) Kmax = Math.max(Kmax, currentK);
+        if (showKc) Kmax = Math.max(Kmax, 1.2 * Kc);
+        view.setDomain(0, Kmax > 0 ? Kmax : 5, 0, 1);
+        view.drawAxes(ctx, 'K', 'r');
 
-        // Labels
-        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
-        ctx.font = '11px monospace';
-        ctx.textAlign = 'right';
-        ctx.fillText('1.0', p.left - 5, p.top + 5);
-        ctx.fillText('0.0', p.left - 5, h - p.bottom + 3);
-        ctx.textAlign = 'center';
-        ctx.fillText('0', p.left, h - 8);
-        ctx.fillText('5', w - p.right, h - 8);
-        ctx.fillText('K', w / 2, h - 5);
+        view.clip(ctx);
+        this.pinnedH.forEach((pinned, k) => {
+            const color = `rgba(${PIN_COLORS[k]}, 0.6)`;
+            this.plotCurve(ctx, view, pinned.up, color, [4, 3]);
+            this.plotCurve(ctx, view, pinned.down, color, [4, 3]);
+            pinned.branches.forEach(branch => this.plotBranch(ctx, view, branch, color));
+        });
 
         // Plot up sweep (cyan)
-        this.plotCurve(ctx, upData, plotW, plotH, p, 'rgba(6, 182, 212, 0.9)', w, h);
+        this.plotCurve(ctx, view, upData, 'rgba(6, 182, 212, 0.9)');
 
         // Plot down sweep (magenta)
-        this.plotCurve(ctx, downData, plotW, plotH, p, 'rgba(236, 72, 153, 0.9)', w, h);
+        this.plotCurve(ctx, view, downData, 'rgba(236, 72, 153, 0.9)');
+
+        // Quasi-static branches, older cycles fainter
+        branches.forEach((branch, k) => {
+            const alpha = 0.9 * Math.pow(0.6, branches.length - 1 - k) * (current ? 0.6 : 1);
+            this.plotBranch(ctx, view, branch, branchColor(branch, alpha));
+        });
+        if (current) {
+            this.plotBranch(ctx, view, current, branchColor(current, 0.9));
+            if (currentK !== null) {
+                // Step in progress
+                this.verticalLine(ctx, view, currentK, 'rgba(160, 160, 176, 0.5)');
+            }
+        }
+
+        if (showKc) this.verticalLine(ctx, view, Kc, 'rgba(251, 191, 36, 0.7)');
+        ctx.restore();
+
+        if (showKc && Kc >= view.bounds.xMin && Kc <= view.bounds.xMax) {
+            ctx.font = '10px sans-serif';
+            ctx.fillStyle = 'rgba(251, 191, 36, 0.9)';
+            ctx.textAlign = 'center';
+            ctx.fillText('Kc (champ moyen)', view.xOf(Kc), p.top - 8);
+        }
 
         // Legend
-        if (upData.length > 0 || downData.length > 0) {
+        if (upData.length > 0 || downData.length > 0 || branches.length > 0 || current) {
             ctx.font = '10px sans-serif';
+            ctx.textAlign = 'left';
             ctx.fillStyle = 'rgba(6, 182, 212, 0.9)';
             ctx.fillText('▲ K↑', w - 40, p.top + 10);
             ctx.fillStyle = 'rgba(236, 72, 153, 0.9)';
             ctx.fillText('▼ K↓', w - 40, p.top + 22);
         }
+
+        this.drawHysteresisTooltip(ctx, view, [upData, downData, ...branches.map(b => b.points), ...(current ? [current.points] : [])]);
     }
 
-    plotCurve(ctx, data, plotW, plotH, p, color, w, h) {
+    /**
+     * Values of the measured point closest to the cursor
+     */
+    drawHysteresisTooltip(ctx, view, series) {
+        if (!view.hoverValue()) return;
+        const { x, y } = view.hover;
+        let best = null;
+        let bestDistance = HOVER_RADIUS;
+        for (const points of series) {
+            for (const point of points) {
+                const distance = Math.hypot(view.xOf(point.K) - x, view.yOf(point.r) - y);
+                if (distance < bestDistance) {
+                    best = point;
+                    bestDistance = distance;
+                }
+            }
+        }
+        if (!best) return;
+        const r = best.std !== undefined ? `r = ${best.r.toFixed(4)} ± ${best.std.toFixed(4)}` : `r = ${best.r.toFixed(4)}`;
+        view.drawTooltip(ctx, best.K, best.r, [`K = ${best.K.toFixed(3)}`, r]);
+    }
+
+    /**
+     * Averaged r per K, joined, with ±1 standard deviation bars
+     */
+    plotBranch(ctx, view, branch, color) {
+        const yOf = r => view.yOf(Math.max(0, Math.min(1, r)));
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        branch.points.forEach(({ K, r }, i) => {
+            if (i === 0) ctx.moveTo(view.xOf(K), yOf(r));
+            else ctx.lineTo(view.xOf(K), yOf(r));
+        });
+        ctx.stroke();
+
+        for (const { K, r, std } of branch.points) {
+            const x = view.xOf(K);
+            ctx.beginPath();
+            ctx.moveTo(x, yOf(r - std));
+            ctx.lineTo(x, yOf(r + std));
+            ctx.moveTo(x - 2, yOf(r - std));
+            ctx.lineTo(x + 2, yOf(r - std));
+            ctx.moveTo(x - 2, yOf(r + std));
+            ctx.lineTo(x + 2, yOf(r + std));
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(x, yOf(r), 2, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
+    plotCurve(ctx, view, data, color, dash = []) {
         if (data.length < 2) return;
 
         ctx.beginPath();
         ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
+        ctx.lineWidth = dash.length > 0 ? 1 : 2;
+        ctx.setLineDash(dash);
 
         for (let i = 0; i < data.length; i++) {
-            const x = p.left + (data[i].K / 5) * plotW;
-            const y = h - p.bottom - data[i].r * plotH;
+            const x = view.xOf(data[i].K);
+            const y = view.yOf(data[i].r);
             if (i === 0) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
         }
         ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    plotSeries(ctx, view, xs, ys, color, lineWidth, dash = []) {
+        if (ys.length < 2) return;
+
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dash);
+        for (let i = 0; i < ys.length; i++) {
+            if (i === 0) ctx.moveTo(view.xOf(xs[i]), view.yOf(ys[i]));
+            else ctx.lineTo(view.xOf(xs[i]), view.yOf(ys[i]));
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    verticalLine(ctx, view, x, color) {
+        const p = this.padding;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(view.xOf(x), p.top);
+        ctx.lineTo(view.xOf(x), view.canvas.height - p.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+function branchColor(branch, alpha) {
+    return `rgba(${branch.direction > 0 ? '6, 182, 212' : '236, 72, 153'}, ${alpha})`;
+}
+
+/**
+ * Mean of r over the trailing `window` time units of each sample
+ * @returns {Float64Array|null} - null with fewer than two samples
+ */
+function runningMean(times, values, window) {
+    const n = values.length;
+    if (n < 2) return null;
+    const mean = new Float64Array(n);
+    let start = 0;
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        sum += values[i];
+        while (times[i] - times[start] > window) sum -= values[start++];
+        mean[i] = sum / (i - start + 1);
+    }
+    return mean;
+}
+
+/**
+ * Index of the sorted `times` entry closest to t
+ */
+function nearestIndex(times, t) {
+    let lo = 0;
+    let hi = times.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] < t) lo = mid;
+        else hi = mid;
     }
+    return Math.abs(times[hi] - t) < Math.abs(times[lo] - t) ? hi : lo;
 }
@@ -0,0 +1,228 @@
+/**
+ * Guided Tour
+ * Plays the scenario of the current mode (see tours.js) step by step in the
+ * header: sets up, runs, highlights a view, then pauses with the explanation
+ * and whether the expected state was reached.
+ */
+
+import { appState } from './state.js';
+import { TOURS } from './tours.js';
+
+const MEASURE_WINDOW = 5;    // Time over which r is averaged at the end of a step
+
+export class GuidedTour {
+    /**
+     * @param {KuramotoSimulator} simulator
+     * @param {Controls} controls
+     * @param {Object} hooks - { classify(): state verdict, runExperiment(numSims): Promise<results>, stopSchedule() }
+     */
+    constructor(simulator, controls, hooks) {
+        this.simulator = simulator;
+        this.controls = controls;
+        this.hooks = hooks;
+
+        this.mode = null;
+        this.index = -1;             // Current step, −1 for the introduction
+        this.phase = 'intro';        // 'intro' | 'running' | 'done' | 'interrupted'
+        this.measures = [];          // Measurements of the steps run so far
+        this.verdict = null;
+        this.startTime = 0;
+        this.lastTime = 0;           // Simulation time at the previous refresh
+        this.runId = 0;              // Ignores experiments of an abandoned step
+        this.highlighted = null;
+
+        this.textEl = document.getElementById('tourText');
+        this.progressEl = document.getElementById('tourProgress');
+        this.prevBtn = document.getElementById('tourPrevBtn');
+        this.nextBtn = document.getElementById('tourNextBtn');
+        this.replayBtn = document.getElementById('tourReplayBtn');
+
+        this.prevBtn.addEventListener('click', () => {
+            if (this.index > 0) this.runStep(this.index - 1);
+            else this.show(this.mode);
+        });
+        this.nextBtn.addEventListener('click', () => this.runStep(this.index + 1));
+        this.replayBtn.addEventListener('click', () => this.runStep(this.index));
+
+        this.refresh();
+    }
+
+    get tour() {
+        return TOURS[this.mode];
+    }
+
+    get currentStep() {
+        return this.index >= 0 ? this.tour.steps[this.index] : null;
+    }
+
+    /**
+     * Called every frame: follow mode changes and end the running step
+     */
+    refresh() {
+        if (appState.mode !== this.mode) {
+            this.show(appState.mode);
+            return;
+        }
+        if (this.phase !== 'running') return;
+
+        const step = this.currentStep;
+        const elapsed = appState.time - this.startTime;
+        const rewound = appState.time < this.lastTime;
+        this.lastTime = appState.time;
+        if (rewound && !step.experiment) {
+            // Reset during the step
+            this.phase = 'interrupted';
+            this.render();
+        } else if (step.sweep ? !appState.sweeping : step.run !== undefined && elapsed >= step.run) {
+            this.finish();
+        } else if (!step.experiment) {
+            this.render();
+        }
+    }
+
+    /**
+     * Introduction of a mode's tour
+     */
+    show(mode) {
+        this.mode = mode;
+        this.index = -1;
+        this.phase = 'intro';
+        this.measures = [];
+        this.runId++;
+        this.highlight(null);
+        this.render();
+    }
+
+    runStep(index) {
+        const tour = this.tour;
+        if (!tour || index < 0 || index >= tour.steps.length) return;
+        const step = tour.steps[index];
+        const runId = ++this.runId;
+
+        this.hooks.stopSchedule();
+        appState.stopSweep();
+        this.controls.setRunning(false);
+
+        if (step.config) {
+            this.controls.loadConfiguration({
+                N: appState.N, K: appState.K, ...appState.getSimulationConfig(), ...tour.config, ...step.config
+            });
+            this.simulator.clearPins();
+        }
+        if (step.set && step.set.K !== undefined) {
+            appState.setK(step.set.K);
+            this.simulator.setCoupling(appState.K);
+            this.controls.syncWidgets();
+        }
+
+        this.index = index;
+        this.phase = 'running';
+        this.verdict = null;
+        this.startTime = appState.time;
+        this.lastTime = appState.time;
+        this.measures.length = index;
+        this.highlight(step.highlight);
+
+        if (step.experiment) {
+            this.hooks.runExperiment(step.experiment.numSims).then(results => {
+                if (runId !== this.runId) return;
+                if (results) {
+                    this.finish(results);
+                } else {
+                    // The error is shown with the experiment results
+                    this.phase = 'interrupted';
+                    this.render();
+                }
+            });
+        } else {
+            if (step.sweep) {
+                appState.setSweepMode('continuous');
+                this.controls.applySweepMode();
+                appState.startSweep(step.sweep);
+            }
+            this.controls.setRunning(true);
+        }
+        this.render();
+    }
+
+    /**
+     * Pause, measure and check the step
+     * @param {Object} [experiment] - Results of the step's experiment
+     */
+    finish(experiment = null) {
+        this.controls.setRunning(false);
+        appState.stopSweep();
+        this.measures[this.index] = this.measure(experiment);
+        this.verdict = this.currentStep.check(this.measures[this.index], this.measures);
+        this.phase = 'done';
+        this.render();
+    }
+
+    measure(experiment) {
+        const { rHistory, tHistory } = appState;
+        let sum = 0;
+        let count = 0;
+        for (let k = rHistory.length - 1; k >= 0 && tHistory[k] >= appState.time - MEASURE_WINDOW; k--) {
+            sum += rHistory[k];
+            count++;
+        }
+        return {
+            r: count > 0 ? sum / count : this.simulator.getOrderParameter().r,
+            q: this.simulator.getWindingNumber(),
+            K: appState.K,
+            state: this.hooks.classify(),
+            hysteresisUp: [...appState.hysteresisUp],
+            hysteresisDown: [...appState.hysteresisDown],
+            experiment
+        };
+    }
+
+    /**
+     * Draw attention to the card or panel holding an element
+     * @param {string|null} id
+     */
+    highlight(id) {
+        if (this.highlighted) this.highlighted.classList.remove('tour-highlight');
+        const el = id ? document.getElementById(id) : null;
+        this.highlighted = el ? (el.closest('.viz-card, .panel') ?? el) : null;
+        if (this.highlighted) {
+            this.highlighted.classList.add('tour-highlight');
+            this.highlighted.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    render() {
+        const tour = this.tour;
+        if (!tour) return;
+        const steps = tour.steps;
+        const step = this.currentStep;
+
+        this.prevBtn.disabled = this.index < 0;
+        this.replayBtn.disabled = this.index < 0;
+        this.nextBtn.disabled = this.index >= steps.length - 1;
+        this.nextBtn.textContent = this.index < 0 ? 'Démarrer ▶' : 'Suivant ▶';
+        this.progressEl.textContent = this.index < 0
+            ? `${steps.length} étapes`
+            : `${this.index + 1} / ${steps.length}`;
+
+        if (!step) {
+            this.textEl.innerHTML = `<strong>${tour.title}</strong><br>${tour.intro}`;
+            return;
+        }
+
+        const heading = `<strong>Étape ${this.index + 1} : ${step.title}</strong><br>`;
+        if (this.phase === 'running') {
+            const elapsed = appState.time - this.startTime;
+            const progress = step.experiment ? 'expérience en cours...'
+                : step.sweep ? `balayage en cours... K = ${appState.K.toFixed(2)}`
+                : `en cours... t = ${elapsed.toFixed(1)} / ${step.run}`;
+            this.textEl.innerHTML = `${heading}<em>${progress}</em>`;
+        } else if (this.phase === 'interrupted') {
+            this.textEl.innerHTML = `${heading}<em>Étape interrompue : ↻ pour la rejouer</em>`;
+        } else {
+            const { ok, message } = this.verdict;
+            this.textEl.innerHTML = `${heading}${step.text}
+                <div class="tour-check ${ok ? 'ok' : 'fail'}">${ok ? '✓' : '✗'} ${message}</div>`;
+        }
+    }
+}
@@ -1,18 +1,69 @@
 /**
  * Kuramoto Oscillator Simulator
  * 
- * Model: dθᵢ/dt = ωᵢ + (K/2)[sin(θᵢ₊₁ - θᵢ) + sin(θᵢ₋₁ - θᵢ)]
- * Ring topology with periodic boundary conditions
+ * Model: dθᵢ/dt = ωᵢ + (K/dᵢ) Σⱼ wᵢⱼ sin(θⱼ - θᵢ - α)
+ * Sparse weighted coupling (see topology.js), dᵢ = Σⱼ wᵢⱼ,
+ * α the Sakaguchi phase lag (0 for the plain Kuramoto model).
+ * On the default ring this is ωᵢ + (K/2)[sin(θᵢ₊₁ - θᵢ) + sin(θᵢ₋₁ - θᵢ)]
+ *
+ * With noise strength D > 0: dθᵢ = (ωᵢ + coupling) dt + √(2D) dWᵢ
+ *
+ * An external periodic drive adds F·sin(Ωt − θᵢ) to the forced oscillators,
+ * t being the simulator's own clock (advanced by advance())
+ *
+ * Single oscillators can be pinned: frozen (phase held fixed) or
+ * pacemaker (turns at ωᵢ, ignoring the coupling)
  */
 
+import { ringTopology, createTopology } from './topology.js';
+import { createRng, gaussian } from './random.js';
+import { sampleFrequencies } from './frequencies.js';
+import { DEFAULT_TOLERANCES, classifyFrequencies, describeState } from './classifier.js';
+
+// Dormand–Prince 5(4) tableau
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Stage times as fractions of the step
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+// 5th-order weights minus embedded 4th-order weights (error estimate)
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+export const INTEGRATORS = ['euler', 'heun', 'rk4', 'rk45'];
+
+// Values of KuramotoSimulator.pinned
+export const PIN_FREE = 0;
+export const PIN_FROZEN = 1;
+export const PIN_PACEMAKER = 2;
+
 export class KuramotoSimulator {
-    constructor(N = 16) {
-        this.N = N;
-        this.phases = new Float64Array(N);      // θᵢ
-        this.frequencies = new Float64Array(N);  // ωᵢ
-        this.dPhases = new Float64Array(N);      // dθᵢ/dt (for integration)
-        
+    constructor(N = 16, rng = Math.random) {
         this.K = 1.0;  // Coupling strength
+        this.alpha = 0;  // Phase lag α
+        this.rng = rng;  // Uniform [0, 1) source (see random.js)
+        
+        // Integration scheme used by advance()
+        this.integrator = 'euler';
+        this.atol = 1e-6;   // RK45 absolute tolerance
+        this.rtol = 1e-3;   // RK45 relative tolerance
+        this.adaptiveDt = 0.02;  // RK45 step carried over between calls
+        this.lastStepSize = 0;   // Last accepted internal step
+        this.rejectedSteps = 0;  // RK45 rejected steps (cumulative)
+        
+        this.noise = 0;  // Additive phase noise strength D
+        
+        this.time = 0;   // Simulation clock t (drive phase Ωt)
+        // Periodic drive F·sin(Ωt − θᵢ) on all oscillators, the arc i < fraction·N,
+        // or a selection of indices
+        this.forcing = { F: 0, Omega: 1, subset: 'all', fraction: 0.5, selection: [] };
+        
+        this.allocate(N);
         
         // Initialize with identical frequencies and random phases
         this.setFrequencies('identical');
@@ -20,58 +71,107 @@ export class KuramotoSimulator {
     }
     
     /**
-     * Set natural frequencies
-     * @param {string} type - 'identical', 'random', 'twoGroups'
+     * Allocate per-oscillator arrays for N oscillators
+     * (default ring topology, phases and frequencies zeroed)
      */
-    setFrequencies(type) {
-        const N = this.N;
-        switch(type) {
-            case 'identical':
-                this.frequencies.fill(1.0);
-                break;
-            case 'random':
-                for (let i = 0; i < N; i++) {
-                    this.frequencies[i] = 0.8 + Math.random() * 0.4; // ω ∈ [0.8, 1.2]
-                }
-                break;
-            case 'twoGroups':
-                for (let i = 0; i < N; i++) {
-                    this.frequencies[i] = (i < N/2) ? 0.8 : 1.2;
-                }
-                break;
+    allocate(N) {
+        this.N = N;
+        this.phases = new Float64Array(N);      // θᵢ
+        this.frequencies = new Float64Array(N);  // ωᵢ
+        this.dPhases = new Float64Array(N);      // dθᵢ/dt (for integration)
+        this.pinned = new Uint8Array(N);         // PIN_FREE, PIN_FROZEN or PIN_PACEMAKER
+        this.forced = new Uint8Array(N);         // 1 for oscillators feeling the drive
+        this.updateForcedMask();
+        this.topology = ringTopology(N);
+        
+        // RK45 stage buffers
+        this.stages = Array.from({ length: 7 }, () => new Float64Array(N));
+        this.temp = new Float64Array(N);
+        this.noiseIncrements = new Float64Array(N);
+    }
+    
+    /**
+     * Change the number of oscillators
+     * Arrays are reallocated; the caller reapplies topology,
+     * frequencies and initial phases.
+     * @param {number} N
+     */
+    resize(N) {
+        if (N === this.N) return;
+        this.allocate(N);
+    }
+    
+    /**
+     * Set the random number generator used by every random draw
+     * @param {function(): number} rng - Uniform [0, 1) generator
+     */
+    setRng(rng) {
+        this.rng = rng;
+    }
+    
+    /**
+     * Rebuild every random part of the configuration in a fixed order
+     * (topology, frequencies, phases), so that the seed fully
+     * determines the initial state; the clock restarts at 0
+     * @param {Object} config - { seed, topologyType, topologyParams, frequencyType, frequencyParams, initType, initParams }
+     */
+    initialize(config) {
+        if (config.seed !== undefined) {
+            this.rng = createRng(config.seed);
         }
+        this.setTopology(createTopology(config.topologyType, this.N, config.topologyParams, this.rng));
+        this.setFrequencies(config.frequencyType, config.frequencyParams);
+        this.setInitialPhases(config.initType, config.initParams);
+        this.time = 0;
+    }
+    
+    /**
+     * Set natural frequencies
+     * @param {string} type - 'identical', 'random', 'twoGroups', 'gaussian', 'lorentzian', 'bimodal', 'custom'
+     * @param {Object} params - { mean, width, sampling, values } (see frequencies.js)
+     */
+    setFrequencies(type, params = {}) {
+        sampleFrequencies(type, this.frequencies, params, this.rng);
     }
     
     /**
      * Set initial phases
-     * @param {string} type - 'random', 'quasiSync', 'twisted1', 'twisted2'
+     * @param {string} type - 'random', 'quasiSync', 'twisted', 'twisted1', 'twisted2', 'chimera'
+     * @param {Object} params - { q, noise } for 'twisted' (noise: uniform amplitude in radians)
      */
-    setInitialPhases(type) {
+    setInitialPhases(type, params = {}) {
         const N = this.N;
         const TWO_PI = 2 * Math.PI;
         
         switch(type) {
             case 'random':
                 for (let i = 0; i < N; i++) {
-                    this.phases[i] = Math.random() * TWO_PI;
+                    this.phases[i] = this.rng() * TWO_PI;
                 }
                 break;
             case 'quasiSync':
-                const center = Math.random() * TWO_PI;
+                const center = this.rng() * TWO_PI;
                 for (let i = 0; i < N; i++) {
-                    this.phases[i] = center + (Math.random() - 0.5) * 0.3;
+                    this.phases[i] = center + (this.rng() - 0.5) * 0.3;
                 }
                 break;
+            case 'twisted':
             case 'twisted1':
-                // q = 1: phases increase by 2π/N around the ring
+            case 'twisted2': {
+                // q-twisted state: phases increase by 2πq/N around the ring
+                const q = type === 'twisted' ? Math.round(params.q ?? 1) : (type === 'twisted1' ? 1 : 2);
+                const noise = type === 'twisted' ? (params.noise ?? 0) : 0;
                 for (let i = 0; i < N; i++) {
-                    this.phases[i] = (TWO_PI * i) / N;
+                    this.phases[i] = (TWO_PI * q * i) / N;
+                    if (noise > 0) this.phases[i] += noise * (2 * this.rng() - 1);
                 }
                 break;
-            case 'twisted2':
-                // q = 2: phases increase by 4π/N around the ring
+            }
+            case 'chimera':
+                // Kuramoto–Battogtokh seed: θ(x) = 6·u·exp(-30x²), x ∈ [-1/2, 1/2), u ∈ [-1/2, 1/2)
                 for (let i = 0; i < N; i++) {
-                    this.phases[i] = (4 * Math.PI * i) / N;
+                    const x = i / N - 0.5;
+                    this.phases[i] = 6 * (this.rng() - 0.5) * Math.exp(-30 * x * x);
                 }
                 break;
         }
@@ -84,7 +184,8 @@ export class KuramotoSimulator {
      */
     perturb(intensity = 0.1) {
         for (let i = 0; i < this.N; i++) {
-            this.phases[i] += (Math.random() - 0.5) * 2 * intensity * Math.PI;
+            const kick = (this.rng() - 0.5) * 2 * intensity * Math.PI;
+            if (this.pinned[i] !== PIN_FROZEN) this.phases[i] += kick;
         }
         this.normalizePhases();
     }
@@ -103,21 +204,7 @@ export class KuramotoSimulator {
      * Compute derivatives dθᵢ/dt
      */
     computeDerivatives() {
-        const N = this.N;
-        const K = this.K;
-        const halfK = K / 2;
-        
-        for (let i = 0; i < N; i++) {
-            const iPrev = (i - 1 + N) % N;
-            const iNext = (i + 1) % N;
-            
-            const coupling = halfK * (
-                Math.sin(this.phases[iNext] - this.phases[i]) +
-                Math.sin(this.phases[iPrev] - this.phases[i])
-            );
-            
-            this.dPhases[i] = this.frequencies[i] + coupling;
-        }
+        this.computeDerivativesFor(this.phases, this.dPhases);
     }
     
     /**
@@ -154,19 +241,19 @@ export class KuramotoSimulator {
         for (let i = 0; i < N; i++) {
             temp[i] = this.phases[i] + 0.5 * dt * k1[i];
         }
-        this.computeDerivativesFor(temp, k2);
+        this.computeDerivativesFor(temp, k2, this.time + 0.5 * dt);
         
         // k3
         for (let i = 0; i < N; i++) {
             temp[i] = this.phases[i] + 0.5 * dt * k2[i];
         }
-        this.computeDerivativesFor(temp, k3);
+        this.computeDerivativesFor(temp, k3, this.time + 0.5 * dt);
         
         // k4
         for (let i = 0; i < N; i++) {
             temp[i] = this.phases[i] + dt * k3[i];
         }
-        this.computeDerivativesFor(temp, k4);
+        this.computeDerivativesFor(temp, k4, this.time + dt);
         
         // Combine
         for (let i = 0; i < N; i++) {
@@ -177,22 +264,208 @@ export class KuramotoSimulator {
     }
     
     /**
-     * Compute derivatives for arbitrary phase array
+     * Integration step using Heun's method (explicit trapezoid, order 2)
+     * @param {number} dt - Time step
      */
-    computeDerivativesFor(phases, output) {
+    stepHeun(dt) {
         const N = this.N;
-        const halfK = this.K / 2;
+        const [k1, k2] = this.stages;
+        const temp = this.temp;
+        
+        this.computeDerivativesFor(this.phases, k1);
+        for (let i = 0; i < N; i++) {
+            temp[i] = this.phases[i] + dt * k1[i];
+        }
+        this.computeDerivativesFor(temp, k2, this.time + dt);
         
         for (let i = 0; i < N; i++) {
-            const iPrev = (i - 1 + N) % N;
-            const iNext = (i + 1) % N;
+            this.phases[i] += (dt / 2) * (k1[i] + k2[i]);
+        }
+        
+        this.normalizePhases();
+    }
+    
+    /**
+     * Adaptive Dormand–Prince RK45 over an interval dt
+     * Takes as many internal steps as the tolerances require;
+     * the last accepted step size is reused on the next call.
+     * @param {number} dt - Interval to cover
+     */
+    stepRK45(dt) {
+        const N = this.N;
+        const k = this.stages;
+        const temp = this.temp;
+        const y = this.phases;
+        let remaining = dt;
+        
+        while (remaining > 1e-12) {
+            const h = Math.min(this.adaptiveDt, remaining);
+            const t = this.time + (dt - remaining);
+            
+            this.computeDerivativesFor(y, k[0], t);
+            for (let s = 1; s < 7; s++) {
+                const a = DP_A[s];
+                for (let i = 0; i < N; i++) {
+                    let sum = 0;
+                    for (let j = 0; j < s; j++) sum += a[j] * k[j][i];
+                    temp[i] = y[i] + h * sum;
+                }
+                this.computeDerivativesFor(temp, k[s], t + DP_C[s] * h);
+            }
             
-            const coupling = halfK * (
-                Math.sin(phases[iNext] - phases[i]) +
-                Math.sin(phases[iPrev] - phases[i])
-            );
+            // temp holds the 5th-order solution (stage 7 is evaluated at it).
+            // Phases live on the circle, so rtol scales the size of the increment
+            // h·|dθᵢ/dt| rather than |θᵢ|, which only says where θᵢ sits in [0, 2π).
+            let errSq = 0;
+            for (let i = 0; i < N; i++) {
+                let e = 0;
+                for (let j = 0; j < 7; j++) e += DP_E[j] * k[j][i];
+                const scale = this.atol + this.rtol * h * Math.max(Math.abs(k[0][i]), Math.abs(k[6][i]));
+                errSq += (h * e / scale) ** 2;
+            }
+            const err = Math.sqrt(errSq / N);
             
-            output[i] = this.frequencies[i] + coupling;
+            const factor = err === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * err ** -0.2));
+            if (err <= 1 || h <= 1e-8) {
+                y.set(temp);
+                remaining -= h;
+                this.lastStepSize = h;
+                // Don't let a short final sub-step shrink the carried-over step
+                if (h === this.adaptiveDt || factor < 1) this.adaptiveDt = h * factor;
+            } else {
+                this.rejectedSteps++;
+                this.adaptiveDt = Math.max(1e-8, h * factor);
+            }
+        }
+        
+        this.normalizePhases();
+    }
+    
+    /**
+     * Draw √(2D dt)·ξᵢ, ξᵢ ~ N(0, 1) into noiseIncrements
+     */
+    drawNoise(dt) {
+        const sigma = Math.sqrt(2 * this.noise * dt);
+        for (let i = 0; i < this.N; i++) {
+            const increment = sigma * gaussian(this.rng);
+            this.noiseIncrements[i] = this.pinned[i] === PIN_FROZEN ? 0 : increment;
+        }
+    }
+    
+    /**
+     * Stochastic step using Euler–Maruyama
+     * @param {number} dt - Time step
+     */
+    stepEulerMaruyama(dt) {
+        this.computeDerivatives();
+        this.drawNoise(dt);
+        
+        for (let i = 0; i < this.N; i++) {
+            this.phases[i] += this.dPhases[i] * dt + this.noiseIncrements[i];
+        }
+        
+        this.normalizePhases();
+    }
+    
+    /**
+     * Stochastic step using stochastic Heun (same increment in predictor and corrector)
+     * @param {number} dt - Time step
+     */
+    stepStochasticHeun(dt) {
+        const N = this.N;
+        const [k1, k2] = this.stages;
+        const temp = this.temp;
+        const dW = this.noiseIncrements;
+        
+        this.drawNoise(dt);
+        this.computeDerivativesFor(this.phases, k1);
+        for (let i = 0; i < N; i++) {
+            temp[i] = this.phases[i] + dt * k1[i] + dW[i];
+        }
+        this.computeDerivativesFor(temp, k2, this.time + dt);
+        
+        for (let i = 0; i < N; i++) {
+            this.phases[i] += (dt / 2) * (k1[i] + k2[i]) + dW[i];
+        }
+        
+        this.normalizePhases();
+    }
+    
+    /**
+     * Advance by dt with the selected integrator
+     * With noise, Euler becomes Euler–Maruyama and the higher-order
+     * schemes use stochastic Heun (fixed step dt).
+     * The step methods integrate from this.time, which advance() then moves on by dt.
+     * @param {number} dt - Time step
+     */
+    advance(dt) {
+        if (this.noise > 0) {
+            if (this.integrator === 'euler') {
+                this.stepEulerMaruyama(dt);
+            } else {
+                this.stepStochasticHeun(dt);
+            }
+            this.lastStepSize = dt;
+        } else {
+            switch (this.integrator) {
+                case 'heun':
+                    this.stepHeun(dt);
+                    break;
+                case 'rk4':
+                    this.stepRK4(dt);
+                    break;
+                case 'rk45':
+                    this.stepRK45(dt);
+                    break;
+                case 'euler':
+                default:
+                    this.step(dt);
+            }
+            // RK45 records its own internal step
+            if (this.integrator !== 'rk45') this.lastStepSize = dt;
+        }
+        this.time += dt;
+    }
+    
+    /**
+     * Select integration scheme
+     * @param {string} name - 'euler', 'heun', 'rk4', 'rk45'
+     * @param {Object} tolerances - { atol, rtol } for rk45
+     */
+    setIntegrator(name, tolerances = {}) {
+        this.integrator = INTEGRATORS.includes(name) ? name : 'euler';
+        if (tolerances.atol > 0) this.atol = tolerances.atol;
+        if (tolerances.rtol > 0) this.rtol = tolerances.rtol;
+        this.rejectedSteps = 0;
+    }
+    
+    /**
+     * Compute derivatives for arbitrary phase array
+     * @param {Float64Array} phases
+     * @param {Float64Array} output
+     * @param {number} t - Time, for the drive phase
+     */
+    computeDerivativesFor(phases, output, t = this.time) {
+        const N = this.N;
+        const K = this.K;
+        const alpha = this.alpha;
+        const { offsets, neighbors, weights, degrees } = this.topology;
+        const { F, Omega } = this.forcing;
+        const drivePhase = Omega * t;
+        
+        for (let i = 0; i < N; i++) {
+            if (this.pinned[i] !== PIN_FREE) {
+                output[i] = this.pinned[i] === PIN_FROZEN ? 0 : this.frequencies[i];
+                continue;
+            }
+            let sum = 0;
+            for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+                sum += weights[e] * Math.sin(phases[neighbors[e]] - phases[i] - alpha);
+            }
+            
+            const coupling = degrees[i] > 0 ? (K / degrees[i]) * sum : 0;
+            const drive = F !== 0 && this.forced[i] ? F * Math.sin(drivePhase - phases[i]) : 0;
+            output[i] = this.frequencies[i] + coupling + drive;
         }
     }
     
@@ -219,6 +492,48 @@ export class KuramotoSimulator {
         return { r, psi };
     }
     
+    /**
+     * Local order parameter along the ring
+     * Zᵢ = |(1/(2m+1)) Σ_{|j-i|≤m} e^(iθⱼ)|
+     * @param {number} m - Half-width of the window (in oscillators)
+     * @returns {Float64Array}
+     */
+    getLocalOrderParameter(m = Math.max(2, Math.round(this.N / 16))) {
+        const N = this.N;
+        const Z = new Float64Array(N);
+        const width = Math.min(2 * m + 1, N);
+        const half = Math.floor((width - 1) / 2);
+        
+        for (let i = 0; i < N; i++) {
+            let sumCos = 0;
+            let sumSin = 0;
+            for (let d = -half; d <= half; d++) {
+                const j = (i + d + N) % N;
+                sumCos += Math.cos(this.phases[j]);
+                sumSin += Math.sin(this.phases[j]);
+            }
+            const count = 2 * half + 1;
+            Z[i] = Math.sqrt(sumCos * sumCos + sumSin * sumSin) / count;
+        }
+        
+        return Z;
+    }
+    
+    /**
+     * Fraction of coherent (Zᵢ > 0.9) and incoherent (Zᵢ < 0.6) oscillators
+     * @returns {{coherent: number, incoherent: number}}
+     */
+    getCoherenceFractions() {
+        const Z = this.getLocalOrderParameter();
+        let coherent = 0;
+        let incoherent = 0;
+        for (let i = 0; i < this.N; i++) {
+            if (Z[i] > 0.9) coherent++;
+            else if (Z[i] < 0.6) incoherent++;
+        }
+        return { coherent: coherent / this.N, incoherent: incoherent / this.N };
+    }
+    
     /**
      * Calculate winding number q
      * q = (1/2π) Σ (θᵢ₊₁ - θᵢ) wrapped to [-π, π]
@@ -253,24 +568,17 @@ export class KuramotoSimulator {
     }
     
     /**
-     * Classify current state
+     * Classify current state from the instantaneous frequencies
+     * (see classifier.js; StateClassifier also checks convergence over time)
+     * @param {Object} tolerances - Overrides of DEFAULT_TOLERANCES
      * @returns {string}
      */
-    classifyState() {
-        const { r } = this.getOrderParameter();
-        const q = this.getWindingNumber();
-        
-        if (r > 0.9) {
-            return 'Synchronisé (q=0)';
-        } else if (Math.abs(q) === 1 && r < 0.5) {
-            return `Twisted (q=${q})`;
-        } else if (Math.abs(q) === 2 && r < 0.3) {
-            return `Twisted (q=${q})`;
-        } else if (r < 0.3) {
-            return 'Désynchronisé';
-        } else {
-            return `Partiel (r=${r.toFixed(2)}, q=${q})`;
-        }
+    classifyState(tolerances = {}) {
+        const rates = new Float64Array(this.N);
+        this.computeDerivativesFor(this.phases, rates);
+        const result = classifyFrequencies(rates, null, this.getWindingNumber(),
+            { ...DEFAULT_TOLERANCES, ...tolerances });
+        return describeState(result, this.getCoherenceFractions());
     }
     
     /**
@@ -288,4 +596,102 @@ export class KuramotoSimulator {
     setCoupling(K) {
         this.K = Math.max(0, K);
     }
+    
+    /**
+     * Set phase lag α (Kuramoto–Sakaguchi)
+     * @param {number} alpha - Radians
+     */
+    setPhaseLag(alpha) {
+        this.alpha = alpha;
+    }
+    
+    /**
+     * Set noise strength D
+     * @param {number} D
+     */
+    setNoise(D) {
+        this.noise = Math.max(0, D);
+    }
+    
+    /**
+     * Move oscillator i to a given phase
+     * @param {number} i
+     * @param {number} phase - Radians (wrapped to [0, 2π))
+     */
+    setPhase(i, phase) {
+        const TWO_PI = 2 * Math.PI;
+        this.phases[i] = ((phase % TWO_PI) + TWO_PI) % TWO_PI;
+    }
+    
+    /**
+     * Change the natural frequency of oscillator i
+     * @param {number} i
+     * @param {number} omega
+     */
+    setNaturalFrequency(i, omega) {
+        this.frequencies[i] = omega;
+    }
+    
+    /**
+     * Pin oscillator i (or release it)
+     * @param {number} i
+     * @param {number} mode - PIN_FREE, PIN_FROZEN or PIN_PACEMAKER
+     */
+    setPinMode(i, mode) {
+        this.pinned[i] = mode;
+    }
+    
+    /**
+     * Release every pinned oscillator
+     */
+    clearPins() {
+        this.pinned.fill(PIN_FREE);
+    }
+    
+    /**
+     * Set the external periodic drive F·sin(Ωt − θᵢ)
+     * @param {Object} forcing - Any of { F, Omega, subset: 'all'|'arc'|'selection', fraction, selection }
+     */
+    setForcing(forcing) {
+        this.forcing = { ...this.forcing, ...forcing };
+        this.forcing.F = Math.max(0, this.forcing.F);
+        this.updateForcedMask();
+    }
+    
+    /**
+     * Recompute which oscillators feel the drive (after a change of N or of the subset)
+     */
+    updateForcedMask() {
+        const { subset, fraction, selection } = this.forcing;
+        if (subset === 'arc') {
+            const count = Math.round(fraction * this.N);
+            for (let i = 0; i < this.N; i++) this.forced[i] = i < count ? 1 : 0;
+        } else if (subset === 'selection') {
+            this.forced.fill(0);
+            for (const i of selection) {
+                if (i >= 0 && i < this.N) this.forced[i] = 1;
+            }
+        } else {
+            this.forced.fill(1);
+        }
+    }
+    
+    /**
+     * Phase Ωt of the drive, in [0, 2π)
+     */
+    getDrivePhase() {
+        const TWO_PI = 2 * Math.PI;
+        return (((this.forcing.Omega * this.time) % TWO_PI) + TWO_PI) % TWO_PI;
+    }
+    
+    /**
+     * Set coupling topology
+     * @param {Topology} topology - Must have the same N as the simulator
+     */
+    setTopology(topology) {
+        if (topology.N !== this.N) {
+            throw new Error(`Topology size ${topology.N} does not match N = ${this.N}`);
+        }
+        this.topology = topology;
+    }
 }
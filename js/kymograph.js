@@ -0,0 +1,121 @@
+/**
+ * Kymograph
+ * Scrolling space–time image of the phases: time runs left to right,
+ * oscillator index top to bottom, colour from the ring view's hue wheel
+ */
+
+import { phaseToRgb } from './ringView.js';
+
+export class Kymograph {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} columns - Time samples kept on screen
+     */
+    constructor(canvas, columns = 320) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.columns = columns;
+        this.relative = false;    // Plot θᵢ − ψ instead of θᵢ
+
+        // Circular buffer of columns, one pixel per oscillator, drawn scaled
+        this.buffer = document.createElement('canvas');
+        this.bufferCtx = this.buffer.getContext('2d');
+        this.N = 0;
+        this.head = 0;            // Next column to write
+        this.filled = 0;          // Columns written so far (≤ columns)
+        this.lastTime = null;
+
+        // Ring view colours, one entry per degree of phase
+        this.palette = new Uint8ClampedArray(360 * 3);
+        for (let h = 0; h < 360; h++) {
+            const [r, g, b] = phaseToRgb((h * Math.PI) / 180);
+            this.palette[3 * h] = r;
+            this.palette[3 * h + 1] = g;
+            this.palette[3 * h + 2] = b;
+        }
+    }
+
+    /**
+     * Forget the recorded history (e.g. after a reset or a change of N)
+     */
+    clear(N = this.N) {
+        this.N = N;
+        this.buffer.width = this.columns;
+        this.buffer.height = Math.max(1, N);
+        this.column = this.bufferCtx.createImageData(1, Math.max(1, N));
+        this.head = 0;
+        this.filled = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * Plot phases relative to the mean phase ψ (restarts the image)
+     */
+    setRelative(relative) {
+        this.relative = relative;
+        this.clear();
+    }
+
+    /**
+     * Append the current phases as a new column
+     * Redraws at an unchanged time are ignored; a time going backwards restarts the image.
+     * @param {Float64Array} phases
+     * @param {number} psi - Mean phase ψ
+     * @param {number} time - Simulation time
+     */
+    push(phases, psi, time) {
+        const N = phases.length;
+        if (N !== this.N || (this.lastTime !== null && time < this.lastTime)) {
+            this.clear(N);
+        }
+        if (time === this.lastTime) return;
+        this.lastTime = time;
+
+        const TWO_PI = 2 * Math.PI;
+        const offset = this.relative ? psi : 0;
+        const data = this.column.data;
+        for (let i = 0; i < N; i++) {
+            const theta = (((phases[i] - offset) % TWO_PI) + TWO_PI) % TWO_PI;
+            const h = Math.floor((theta / TWO_PI) * 360) % 360;
+            data[4 * i] = this.palette[3 * h];
+            data[4 * i + 1] = this.palette[3 * h + 1];
+            data[4 * i + 2] = this.palette[3 * h + 2];
+            data[4 * i + 3] = 255;
+        }
+        this.bufferCtx.putImageData(this.column, this.head, 0);
+        this.head = (this.head + 1) % this.columns;
+        this.filled = Math.min(this.columns, this.filled + 1);
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, w, h);
+        if (this.filled === 0) return;
+
+        // Oldest columns first: [head, columns) then [0, head), right-aligned
+        ctx.imageSmoothingEnabled = false;
+        const colW = w / this.columns;
+        const x0 = w - this.filled * colW;
+        if (this.filled === this.columns && this.head > 0) {
+            const tail = this.columns - this.head;
+            ctx.drawImage(this.buffer, this.head, 0, tail, this.N, x0, 0, tail * colW, h);
+            ctx.drawImage(this.buffer, 0, 0, this.head, this.N, x0 + tail * colW, 0, this.head * colW, h);
+        } else {
+            const start = this.filled === this.columns ? 0 : this.head - this.filled;
+            ctx.drawImage(this.buffer, start, 0, this.filled, this.N, x0, 0, this.filled * colW, h);
+        }
+
+        // Labels
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('i = 0', 4, 11);
+        ctx.fillText(`i = ${this.N - 1}`, 4, h - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.relative ? 'θᵢ − ψ · temps →' : 'θᵢ · temps →', w - 4, h - 4);
+    }
+}
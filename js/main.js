@@ -7,13 +7,32 @@ import { appState } from './state.js';
 import { RingView } from './ringView.js';
 import { PhaseCircle } from './phaseCircle.js';
 import { Graphs } from './graphs.js';
+import { FrequencyHistogram } from './frequencyHistogram.js';
+import { Kymograph } from './kymograph.js';
+import { EffectiveFrequencies, findClusters, entrainment } from './effectiveFrequencies.js';
+import { FrequencyPlot } from './frequencyPlot.js';
+import { StabilityPanel } from './stabilityPanel.js';
+import { OscillatorEditor } from './oscillatorEditor.js';
+import { ScheduleEditor } from './scheduleEditor.js';
+import { GuidedTour } from './guidedTour.js';
+import { TimelinePanel } from './timelinePanel.js';
+import { criticalCoupling } from './frequencies.js';
+import { StateClassifier } from './classifier.js';
 import { Controls } from './controls.js';
 import { Experiments } from './experiments.js';
+import { DataExport } from './dataExport.js';
+
+const CLUSTER_TOLERANCE = 2e-3;  // Max gap between locked effective frequencies
+const STAIRCASE_STEP = 0.05;      // K interval of one Ω(K) staircase column
+const ENTRAINMENT_TOLERANCE = 1e-2;  // Max |Ωᵢ − Ω| of an oscillator entrained by the drive
+const ENTRAINMENT_MIN_WINDOW = 5;    // Averaging time needed before judging entrainment
 
 class App {
     constructor() {
         // Initialize simulator
-        this.simulator = new KuramotoSimulator(16);
+        this.simulator = new KuramotoSimulator(appState.N);
+        this.simulator.initialize(appState.getSimulationConfig());
+        appState.attachClock(this.simulator);
 
         // Initialize visualizations
         this.ringView = new RingView(document.getElementById('ringCanvas'));
@@ -23,18 +42,101 @@ class App {
             document.getElementById('hysteresisCanvas')
         );
 
+        // Graph overlays, pinned curves and history length
+        document.getElementById('runningMeanCheck').addEventListener('change', (e) => {
+            this.graphs.setOverlay('runningMean', e.target.checked);
+        });
+        document.getElementById('kcOverlayCheck').addEventListener('change', (e) => {
+            this.graphs.setOverlay('criticalCoupling', e.target.checked);
+        });
+        document.getElementById('pinRGraphBtn').addEventListener('click', () => this.graphs.pinRGraph());
+        document.getElementById('pinHysteresisBtn').addEventListener('click', () => this.graphs.pinHysteresis());
+        document.getElementById('clearPinnedRBtn').addEventListener('click', () => this.graphs.clearPinned('r'));
+        document.getElementById('clearPinnedHBtn').addEventListener('click', () => this.graphs.clearPinned('hysteresis'));
+        const historyInput = document.getElementById('historyLengthInput');
+        historyInput.addEventListener('change', () => {
+            const length = Math.max(50, Math.min(20000, parseInt(historyInput.value) || 500));
+            historyInput.value = length;
+            appState.setHistoryLength(length);
+            this.graphs.redraw();
+        });
+
+        this.frequencyHistogram = new FrequencyHistogram(document.getElementById('freqHistCanvas'));
+        this.kymograph = new Kymograph(document.getElementById('kymographCanvas'));
+        document.getElementById('kymoRelativeCheck').addEventListener('change', (e) => {
+            this.kymograph.setRelative(e.target.checked);
+            this.updateVisuals();
+        });
+
+        // Convergence of the live simulation (same classifier as the experiments)
+        this.stateClassifier = new StateClassifier();
+
         // Initialize controls
         this.controls = new Controls(this.simulator, () => this.updateVisuals());
 
-        // Initialize experiments
-        this.experiments = new Experiments();
+        // Initialize experiments (replicates replay in the main view)
+        this.experiments = new Experiments(config => {
+            this.controls.loadConfiguration({ ...config, speed: config.dt / appState.dt });
+        });
 
-        // Setup experiment button
+        // Effective frequencies, locked clusters and the Ω(K) staircase
+        this.effectiveFrequencies = new EffectiveFrequencies();
+        this.frequencyPlot = new FrequencyPlot(document.getElementById('effectiveFreqCanvas'));
+        this.staircaseMark = null;    // Start of the current staircase step during a K sweep
+        document.querySelectorAll('.preset-btn[data-freq-plot]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('.preset-btn[data-freq-plot]').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.frequencyPlot.setMode(btn.dataset.freqPlot);
+                this.updateVisuals();
+            });
+        });
+        document.getElementById('clearStaircaseBtn').addEventListener('click', () => {
+            this.frequencyPlot.clearStaircase();
+            this.updateVisuals();
+        });
+        document.getElementById('clusterOutlineCheck').addEventListener('change', () => this.updateVisuals());
+
+        // Drag, edit and pin single oscillators on the ring view
+        this.oscillatorEditor = new OscillatorEditor(this.simulator, this.ringView,
+            () => this.updateVisuals(), () => this.controls.applyForcing());
+
+        // Scrub back through the recorded frames and resume from one
+        this.timelinePanel = new TimelinePanel(this.simulator, this.controls, () => this.updateVisuals());
+
+        // Scripted K(t), α(t), D(t), F(t), Ω(t) profiles and timed events
+        this.scheduleEditor = new ScheduleEditor(this.simulator, this.controls);
+
+        // Linear stability of the twisted states and Jacobian spectrum
+        this.stabilityPanel = new StabilityPanel(this.simulator);
+
+        // Data export (reads the histories and experiment results)
+        this.dataExport = new DataExport(this.simulator, this.experiments);
+
+        // Setup experiment buttons
         document.getElementById('runExperimentBtn').addEventListener('click', () => {
-            const numSims = parseInt(document.getElementById('numSimsInput').value) || 50;
-            this.experiments.run(numSims, appState.K, 16, 2000);
+            this.runExperiment(parseInt(document.getElementById('numSimsInput').value) || 50);
+        });
+
+        document.getElementById('runSweepBtn').addEventListener('click', () => {
+            const Kmin = parseFloat(document.getElementById('sweepKminInput').value) || 0;
+            const Kmax = parseFloat(document.getElementById('sweepKmaxInput').value) || 3;
+            const numK = Math.max(2, parseInt(document.getElementById('sweepNumKInput').value) || 16);
+            const M = Math.max(1, parseInt(document.getElementById('sweepMInput').value) || 50);
+            this.experiments.runSweep({ Kmin, Kmax, numK, M }, appState.N, this.experimentSteps(), this.experimentOptions());
+        });
+
+        // Step-by-step scenario of each mode
+        this.guidedTour = new GuidedTour(this.simulator, this.controls, {
+            classify: () => this.stateClassifier.classify(this.simulator),
+            runExperiment: numSims => this.runExperiment(numSims),
+            stopSchedule: () => this.scheduleEditor.stop()
         });
 
+        // Configuration shared through the URL hash, if any
+        this.controls.loadPermalink();
+        this.controls.schedulePermalinkUpdate();
+
         // Initial render
         this.updateVisuals();
 
@@ -46,24 +148,107 @@ class App {
         console.log('Kuramoto Oscillator Visualization initialized');
     }
 
+    /**
+     * Statistical experiment with the current settings
+     * @param {number} numSims
+     * @returns {Promise<Object|null>} - Results (see Experiments.run), null if the experiment failed or was superseded
+     */
+    runExperiment(numSims) {
+        return this.experiments.run(numSims, appState.K, appState.N, this.experimentSteps(), this.experimentOptions());
+    }
+
+    /**
+     * Step limit of each replicate, from the time limit input
+     * (replicates stop earlier once their state has converged)
+     */
+    experimentSteps() {
+        const maxTime = parseFloat(document.getElementById('maxTimeInput').value) || 200;
+        return Math.max(1, Math.round(maxTime / appState.dt));
+    }
+
+    /**
+     * Current simulation settings, as passed to the experiments
+     */
+    experimentOptions() {
+        return {
+            seed: appState.seed,
+            dt: appState.dt,
+            topologyType: appState.topologyType,
+            topologyParams: appState.topologyParams,
+            frequencyType: appState.frequencyType,
+            frequencyParams: appState.frequencyParams,
+            alpha: appState.alpha,
+            noise: appState.noise,
+            forcing: appState.forcing.F > 0 ? appState.forcing : null,
+            integrator: appState.integrator,
+            atol: appState.atol,
+            rtol: appState.rtol
+        };
+    }
+
     animate(currentTime) {
         requestAnimationFrame(this.animate);
 
         if (appState.running) {
             // Update simulation
             const dt = appState.getEffectiveDt();
-            this.simulator.step(dt);
-            appState.time += dt;
+            this.simulator.advance(dt);
+            this.oscillatorEditor.hold();
 
             // Handle K sweep
             if (appState.sweeping) {
-                appState.updateSweep();
+                appState.updateSweep(dt);
                 this.simulator.setCoupling(appState.K);
             }
+            this.scheduleEditor.step();
 
             // Update visuals
             this.updateVisuals();
         }
+
+        // K, α and the topology also change while paused
+        this.stabilityPanel.refresh(this.simulator.getWindingNumber());
+        this.guidedTour.refresh();
+    }
+
+    /**
+     * During a K sweep, add Ωᵢ(K) columns to the staircase: one per measurement
+     * window of a quasi-static sweep, or one each time a continuous sweep has
+     * moved K by STAIRCASE_STEP (averaged over that stretch)
+     */
+    recordStaircase() {
+        const mark = this.staircaseMark;
+        if (mark && mark.quasiStatic) {
+            // Measurement over: keep it if it ran its full length
+            const step = appState.sweepStep;
+            if (!step || step.phase !== 'measure' || appState.K !== mark.K) {
+                const values = this.effectiveFrequencies.meanSince(mark);
+                if (values && this.effectiveFrequencies.lastTime - mark.time >= appState.quasiStatic.measure - 1e-9) {
+                    this.frequencyPlot.addStaircaseColumn(mark.K, values);
+                }
+                this.staircaseMark = null;
+            }
+        }
+        if (!appState.sweeping) {
+            this.staircaseMark = null;
+            return;
+        }
+
+        if (appState.sweepMode === 'quasiStatic') {
+            const measuring = appState.sweepStep.phase === 'measure';
+            if (measuring && !this.staircaseMark) {
+                this.staircaseMark = { K: appState.K, quasiStatic: true, ...this.effectiveFrequencies.mark() };
+            }
+            return;
+        }
+
+        if (!this.staircaseMark) {
+            this.staircaseMark = { K: appState.K, ...this.effectiveFrequencies.mark() };
+        } else if (Math.abs(appState.K - mark.K) >= STAIRCASE_STEP) {
+            const values = this.effectiveFrequencies.meanSince(mark);
+            if (values) this.frequencyPlot.addStaircaseColumn((appState.K + mark.K) / 2, values);
+            this.staircaseMark = { K: appState.K, ...this.effectiveFrequencies.mark() };
+        }
     }
 
     updateVisuals() {
@@ -72,17 +257,43 @@ class App {
         const q = this.simulator.getWindingNumber();
         const variance = this.simulator.getPhaseVariance();
 
+        // A frame shown from the timeline is displayed, not recorded again
+        const inspecting = appState.timeline.isInspecting(appState.time);
+
         // Add to history
-        appState.addToHistory(orderParam.r, appState.K);
+        if (!inspecting) {
+            appState.addToHistory(orderParam.r, appState.K, orderParam.psi, q, this.simulator.phases);
+        }
+
+        // Effective frequencies; clusters once the average spans at least one time unit
+        if (!inspecting) this.effectiveFrequencies.observe(this.simulator.phases, appState.time);
+        const effective = this.effectiveFrequencies.compute();
+        const clustering = effective && this.effectiveFrequencies.elapsed >= 1
+            ? findClusters(effective, CLUSTER_TOLERANCE) : null;
+        this.recordStaircase();
 
         // Render visualizations
-        this.ringView.render(phases);
-        this.phaseCircle.render(phases, orderParam);
-        this.graphs.renderRGraph(appState.rHistory);
-        this.graphs.renderHysteresis(appState.hysteresisUp, appState.hysteresisDown);
+        this.ringView.render(phases, this.simulator.topology,
+            document.getElementById('clusterOutlineCheck').checked ? clustering : null, this.oscillatorEditor.marks);
+        this.oscillatorEditor.update(effective);
+        this.phaseCircle.render(phases, orderParam, appState.forcing.F > 0 ? this.simulator.getDrivePhase() : null);
+        const Kc = criticalCoupling(appState.frequencyType, appState.frequencyParams);
+        this.graphs.renderRGraph(appState.tHistory, appState.rHistory, inspecting ? appState.time : null);
+        this.graphs.renderHysteresis(appState.hysteresisUp, appState.hysteresisDown,
+            appState.hysteresisBranches, appState.sweepBranch, appState.sweepStep ? appState.K : null, Kc);
+        this.frequencyHistogram.render(this.simulator.frequencies, Kc);
+        if (!inspecting) this.kymograph.push(phases, orderParam.psi, appState.time);
+        this.kymograph.render();
+        this.frequencyPlot.render(effective, this.simulator.frequencies, clustering, this.effectiveFrequencies.elapsed);
 
         // Update numeric displays
-        this.controls.updateDisplays(orderParam.r, q, variance);
+        if (!inspecting) this.stateClassifier.observe(this.simulator, appState.time);
+        this.controls.updateDisplays(orderParam.r, q, variance, this.stateClassifier.classify(this.simulator));
+        this.controls.updateEntrainment(appState.forcing.F > 0 && effective && this.effectiveFrequencies.elapsed >= ENTRAINMENT_MIN_WINDOW
+            ? entrainment(effective, appState.forcing.Omega, ENTRAINMENT_TOLERANCE) : null);
+
+        this.timelinePanel.update();
+        if (!inspecting) this.dataExport.recordFrame(appState.time);
     }
 }
 
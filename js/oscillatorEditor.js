@@ -0,0 +1,156 @@
+/**
+ * Oscillator Editor
+ * Direct manipulation on the ring view: click selects an oscillator and
+ * dragging turns its needle (sets θᵢ), Shift+click jumps to its natural
+ * frequency ωᵢ, Alt+click cycles its pin mode (free → frozen → pacemaker).
+ * The selected oscillator can also be added to or removed from the driven subset.
+ */
+
+import { appState } from './state.js';
+import { PIN_FREE } from './kuramoto.js';
+
+const PIN_LABELS = ['libre', 'figé', 'pacemaker'];
+
+export class OscillatorEditor {
+    /**
+     * @param {KuramotoSimulator} simulator
+     * @param {RingView} ringView
+     * @param {function()} onEdit - Called after an edit made while paused, to redraw
+     * @param {function()} onForcingChange - Called after appState.forcing was changed
+     */
+    constructor(simulator, ringView, onEdit, onForcingChange) {
+        this.simulator = simulator;
+        this.ringView = ringView;
+        this.onEdit = onEdit;
+        this.onForcingChange = onForcingChange;
+        this.canvas = ringView.canvas;
+        this.selected = -1;
+        this.dragPhase = null;      // Phase held while the needle is dragged
+
+        this.stats = document.getElementById('oscillatorStats');
+        this.editRow = document.getElementById('oscillatorEdit');
+        this.omegaInput = document.getElementById('oscillatorOmegaInput');
+        this.pinButtons = document.querySelectorAll('.preset-btn[data-pin]');
+        this.forcedButton = document.getElementById('oscillatorForcedBtn');
+
+        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.dragPhase === null) return;
+            const { x, y } = this.canvasPoint(e);
+            this.dragPhase = this.ringView.phaseTowards(this.selected, this.simulator.N, x, y);
+            this.hold();
+            this.edited();
+        });
+        window.addEventListener('mouseup', () => { this.dragPhase = null; });
+
+        this.omegaInput.addEventListener('change', () => {
+            const omega = parseFloat(this.omegaInput.value);
+            if (this.selected < 0 || !Number.isFinite(omega)) return;
+            this.simulator.setNaturalFrequency(this.selected, omega);
+            this.edited();
+        });
+        this.pinButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.selected < 0) return;
+                this.simulator.setPinMode(this.selected, parseInt(btn.dataset.pin));
+                this.edited();
+            });
+        });
+        this.forcedButton.addEventListener('click', () => {
+            if (this.selected < 0) return;
+            // Start from the oscillators driven so far
+            const driven = new Set(appState.forcing.subset === 'selection' ? appState.forcing.selection
+                : Array.from({ length: this.simulator.N }, (_, i) => i).filter(i => this.simulator.forced[i]));
+            if (driven.has(this.selected)) driven.delete(this.selected);
+            else driven.add(this.selected);
+            appState.setForcing({ subset: 'selection', selection: [...driven] });
+            this.onForcingChange();
+            this.edited();
+        });
+        document.getElementById('clearPinsBtn').addEventListener('click', () => {
+            this.simulator.clearPins();
+            this.edited();
+        });
+
+        this.update(null);
+    }
+
+    /**
+     * Mouse position in canvas pixels (the canvas is scaled by CSS)
+     */
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const sx = rect.width > 0 ? this.canvas.width / rect.width : 1;
+        const sy = rect.height > 0 ? this.canvas.height / rect.height : 1;
+        return { x: (e.clientX - rect.left) * sx, y: (e.clientY - rect.top) * sy };
+    }
+
+    onMouseDown(e) {
+        const { x, y } = this.canvasPoint(e);
+        const i = this.ringView.nodeAt(x, y, this.simulator.N);
+        this.selected = i;
+        if (i >= 0) {
+            if (e.altKey) {
+                this.simulator.setPinMode(i, (this.simulator.pinned[i] + 1) % PIN_LABELS.length);
+            } else if (e.shiftKey) {
+                this.update(null);
+                this.omegaInput.focus();
+                this.omegaInput.select();
+            } else {
+                e.preventDefault();
+                this.dragPhase = this.ringView.phaseTowards(i, this.simulator.N, x, y);
+                this.hold();
+            }
+        }
+        this.edited();
+    }
+
+    /**
+     * Keep the dragged oscillator under the cursor; called after every simulation step
+     */
+    hold() {
+        if (this.dragPhase !== null && this.selected >= 0) {
+            this.simulator.setPhase(this.selected, this.dragPhase);
+        }
+    }
+
+    edited() {
+        this.update(null);
+        if (!appState.running) this.onEdit();
+    }
+
+    /**
+     * Marks for RingView.render()
+     */
+    get marks() {
+        return { pinned: this.simulator.pinned, selected: this.selected };
+    }
+
+    /**
+     * Show the selected oscillator's θ, ω and effective frequency
+     * @param {Float64Array|null} effective - Effective frequencies Ωᵢ, if measured
+     */
+    update(effective) {
+        const sim = this.simulator;
+        if (this.selected >= sim.N) this.selected = -1;
+        const i = this.selected;
+
+        this.editRow.style.display = i >= 0 ? '' : 'none';
+        if (i < 0) {
+            const pins = sim.pinned.reduce((count, mode) => count + (mode !== PIN_FREE), 0);
+            this.stats.textContent = 'Clic : choisir · glisser : phase · Maj+clic : ω · Alt+clic : épingler' +
+                (pins > 0 ? ` · ${pins} épinglé${pins > 1 ? 's' : ''}` : '');
+            return;
+        }
+
+        const omega = sim.frequencies[i];
+        const Omega = effective ? `Ω = ${effective[i].toFixed(3)}` : 'Ω = —';
+        const driven = sim.forcing.F > 0 && sim.forced[i] ? ' · forcé' : '';
+        this.stats.textContent = `#${i} · θ = ${sim.phases[i].toFixed(3)} · ω = ${omega.toFixed(3)} · ${Omega} · ${PIN_LABELS[sim.pinned[i]]}${driven}`;
+        if (document.activeElement !== this.omegaInput) this.omegaInput.value = omega.toFixed(3);
+        this.pinButtons.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.pin) === sim.pinned[i]);
+        });
+        this.forcedButton.classList.toggle('active', sim.forced[i] === 1);
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Permalinks
+ * Encode the configuration (and optionally the phases) in the URL hash,
+ * e.g. #N=16&K=1.35&m=2&s=123&i=twisted1
+ */
+
+import { INTEGRATORS } from './kuramoto.js';
+import { FREQUENCY_TYPES } from './frequencies.js';
+import { TOPOLOGY_TYPES } from './topology.js';
+
+const INIT_TYPES = ['random', 'quasiSync', 'twisted1', 'twisted2', 'twisted', 'chimera'];
+
+/**
+ * Compact decimal form (at most 6 significant digits)
+ */
+function formatNumber(x) {
+    return String(Number(x.toPrecision(6)));
+}
+
+/**
+ * Build the hash for a state
+ * @param {AppState} state
+ * @param {Float64Array|null} phases - Current phases, to start the link from this exact state
+ * @returns {string} - Without the leading '#'
+ */
+export function encodePermalink(state, phases = null) {
+    const fp = state.frequencyParams;
+    const tp = state.topologyParams;
+    const entries = [
+        ['N', state.N],
+        ['K', formatNumber(state.K)],
+        ['a', formatNumber(state.alpha)],
+        ['D', formatNumber(state.noise)],
+        ['v', formatNumber(state.speedMultiplier)],
+        ['m', state.mode],
+        ['s', state.seed],
+        ['int', state.integrator],
+        ['atol', formatNumber(state.atol)],
+        ['rtol', formatNumber(state.rtol)],
+        ['t', state.topologyType],
+        ['tk', tp.k],
+        ['tp', formatNumber(tp.p)],
+        ['tkap', formatNumber(tp.kappa)],
+        ['f', state.frequencyType],
+        ['fm', formatNumber(fp.mean)],
+        ['fw', formatNumber(fp.width)],
+        ['fs', fp.sampling === 'quantile' ? 'q' : 'r']
+    ];
+    if (state.frequencyType === 'custom' && fp.values.length > 0) {
+        entries.push(['fv', fp.values.map(formatNumber).join(',')]);
+    }
+    entries.push(['i', state.initType], ['iq', state.initParams.q], ['in', formatNumber(state.initParams.noise)]);
+    const forcing = state.forcing;
+    if (forcing.F > 0) {
+        entries.push(['dF', formatNumber(forcing.F)], ['dW', formatNumber(forcing.Omega)], ['ds', forcing.subset]);
+        if (forcing.subset === 'arc') entries.push(['df', formatNumber(forcing.fraction)]);
+        if (forcing.subset === 'selection') entries.push(['dsel', forcing.selection.join(',')]);
+    }
+    if (phases) {
+        entries.push(['ph', encodePhases(phases)]);
+    }
+    return entries.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+}
+
+/**
+ * Read a hash back
+ * Unknown keys and out-of-range values are ignored, so a hand-edited link degrades gracefully.
+ * @param {string} hash - location.hash (with or without '#')
+ * @returns {Object|null} - Partial configuration for Controls.loadConfiguration, plus mode and phases; null if empty
+ */
+export function decodePermalink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if ([...params.keys()].length === 0) return null;
+
+    const number = (key, min = -Infinity, max = Infinity) => {
+        if (!params.has(key)) return undefined;
+        const value = Number(params.get(key));
+        return Number.isFinite(value) && value >= min && value <= max ? value : undefined;
+    };
+    const integer = (key, min, max) => {
+        const value = number(key, min, max);
+        return Number.isInteger(value) ? value : undefined;
+    };
+    const choice = (key, choices) => choices.includes(params.get(key)) ? params.get(key) : undefined;
+    const defined = obj => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+    const config = defined({
+        N: integer('N', 3, 500),
+        K: number('K', 0, 5),
+        alpha: number('a', 0, Math.PI),
+        noise: number('D', 0, 1),
+        speed: number('v', 0.25, 4),
+        mode: integer('m', 1, 4),
+        seed: integer('s', 0, 0xFFFFFFFF),
+        integrator: choice('int', INTEGRATORS),
+        atol: number('atol', 0),
+        rtol: number('rtol', 0),
+        topologyType: choice('t', TOPOLOGY_TYPES),
+        frequencyType: choice('f', FREQUENCY_TYPES),
+        initType: choice('i', INIT_TYPES)
+    });
+
+    const topologyParams = defined({ k: integer('tk', 1, 250), p: number('tp', 0, 1), kappa: number('tkap', 0) });
+    if (Object.keys(topologyParams).length > 0) config.topologyParams = topologyParams;
+
+    const frequencyParams = defined({
+        mean: number('fm'),
+        width: number('fw', 0),
+        sampling: params.has('fs') ? (params.get('fs') === 'q' ? 'quantile' : 'random') : undefined
+    });
+    if (params.has('fv')) {
+        const values = params.get('fv').split(',').map(Number);
+        if (values.length > 0 && values.every(Number.isFinite)) frequencyParams.values = values;
+    }
+    if (Object.keys(frequencyParams).length > 0) config.frequencyParams = frequencyParams;
+
+    const initParams = defined({ q: integer('iq', -250, 250), noise: number('in', 0) });
+    if (Object.keys(initParams).length > 0) config.initParams = initParams;
+
+    const forcing = defined({
+        F: number('dF', 0, 5),
+        Omega: number('dW', -10, 10),
+        subset: choice('ds', ['all', 'arc', 'selection']),
+        fraction: number('df', 0, 1)
+    });
+    if (params.has('dsel')) {
+        const selection = params.get('dsel').split(',').filter(v => v !== '').map(Number);
+        if (selection.every(Number.isInteger)) forcing.selection = selection;
+    }
+    if (Object.keys(forcing).length > 0) config.forcing = forcing;
+
+    if (params.has('ph')) {
+        const phases = decodePhases(params.get('ph'));
+        if (phases) config.phases = phases;
+    }
+
+    return config;
+}
+
+/**
+ * Phases quantised to 16 bits of the circle, as base64url
+ * @param {Float64Array} phases
+ * @returns {string}
+ */
+export function encodePhases(phases) {
+    const TWO_PI = 2 * Math.PI;
+    let binary = '';
+    for (let i = 0; i < phases.length; i++) {
+        const theta = ((phases[i] % TWO_PI) + TWO_PI) % TWO_PI;
+        const v = Math.round((theta / TWO_PI) * 65536) & 0xFFFF;
+        binary += String.fromCharCode(v & 0xFF, v >>> 8);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Inverse of encodePhases
+ * @param {string} text
+ * @returns {number[]|null} - null if the text is not valid base64url
+ */
+export function decodePhases(text) {
+    let binary;
+    try {
+        binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (e) {
+        return null;
+    }
+    if (binary.length === 0 || binary.length % 2 !== 0) return null;
+
+    const phases = [];
+    for (let b = 0; b < binary.length; b += 2) {
+        const v = binary.charCodeAt(b) | (binary.charCodeAt(b + 1) << 8);
+        phases.push((v / 65536) * 2 * Math.PI);
+    }
+    return phases;
+}
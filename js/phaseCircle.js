@@ -19,7 +19,12 @@ export class PhaseCircle {
         return `hsl(${hue}, 85%, 55%)`;
     }
 
-    render(phases, orderParam) {
+    /**
+     * @param {Float64Array} phases
+     * @param {{r, psi}} orderParam
+     * @param {number|null} drivePhase - Phase Ωt of the external drive, marked outside the circle
+     */
+    render(phases, orderParam, drivePhase = null) {
         const ctx = this.ctx;
         const N = phases.length;
 
@@ -62,6 +67,20 @@ export class PhaseCircle {
             ctx.stroke();
         }
 
+        // Drive phase: triangle pointing at the circle
+        if (drivePhase !== null) {
+            const tip = this.circleRadius + 6;
+            const base = this.circleRadius + 18;
+            const spread = 0.06;
+            ctx.beginPath();
+            ctx.moveTo(this.centerX + tip * Math.cos(drivePhase), this.centerY + tip * Math.sin(drivePhase));
+            ctx.lineTo(this.centerX + base * Math.cos(drivePhase - spread), this.centerY + base * Math.sin(drivePhase - spread));
+            ctx.lineTo(this.centerX + base * Math.cos(drivePhase + spread), this.centerY + base * Math.sin(drivePhase + spread));
+            ctx.closePath();
+            ctx.fillStyle = 'rgba(251, 191, 36, 0.95)';
+            ctx.fill();
+        }
+
         // Order parameter arrow
         if (orderParam) {
             const { r, psi } = orderParam;
@@ -0,0 +1,277 @@
+/**
+ * Plot Axes
+ * Tick generation and a zoomable, pannable view with hover tracking,
+ * shared by the 2D graphs. Wheel zooms around the cursor (Shift: time/K axis
+ * only), dragging pans, double-click returns to the automatic range.
+ */
+
+/**
+ * Round tick positions covering [min, max] (steps of 1, 2 or 5 × 10ⁿ)
+ * @param {number} min
+ * @param {number} max
+ * @param {number} target - Approximate number of intervals
+ * @returns {{ticks: number[], step: number}}
+ */
+export function niceTicks(min, max, target = 5) {
+    const span = max - min;
+    if (!(span > 0)) return { ticks: [min], step: 1 };
+    const raw = span / target;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= raw);
+
+    const ticks = [];
+    const first = Math.ceil(min / step - 1e-9);
+    for (let k = first; k * step <= max + step * 1e-9; k++) {
+        ticks.push(k * step + 0);   // No -0
+    }
+    return { ticks, step };
+}
+
+/**
+ * Tick label with as many decimals as the step needs
+ */
+export function formatTick(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+    return value.toFixed(Math.min(decimals, 6));
+}
+
+export class PlotView {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {{top, right, bottom, left}} padding
+     * @param {function()} onChange - Called when the view or the hover position changes
+     */
+    constructor(canvas, padding, onChange) {
+        this.canvas = canvas;
+        this.padding = padding;
+        this.onChange = onChange;
+        this.domain = { xMin: 0, xMax: 1, yMin: 0, yMax: 1 };   // Automatic range
+        this.view = null;      // Zoomed or panned range, null to follow the domain
+        this.hover = null;     // Cursor position in canvas pixels
+        this.drag = null;
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(this.canvasPoint(e), e.deltaY < 0 ? 0.8 : 1.25, !e.shiftKey);
+        }, { passive: false });
+        canvas.addEventListener('mousedown', (e) => {
+            this.drag = { start: this.canvasPoint(e), bounds: { ...this.bounds } };
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            const point = this.canvasPoint(e);
+            if (this.drag) this.pan(point);
+            this.hover = point;
+            this.onChange();
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.hover = null;
+            this.drag = null;
+            this.onChange();
+        });
+        window.addEventListener('mouseup', () => { this.drag = null; });
+        canvas.addEventListener('dblclick', () => {
+            this.view = null;
+            this.onChange();
+        });
+    }
+
+    /**
+     * Range currently shown
+     */
+    get bounds() {
+        return this.view ?? this.domain;
+    }
+
+    /**
+     * Automatic range, used until the user zooms or pans
+     */
+    setDomain(xMin, xMax, yMin, yMax) {
+        this.domain = { xMin, xMax: xMax > xMin ? xMax : xMin + 1, yMin, yMax: yMax > yMin ? yMax : yMin + 1 };
+    }
+
+    get plotWidth() {
+        return this.canvas.width - this.padding.left - this.padding.right;
+    }
+
+    get plotHeight() {
+        return this.canvas.height - this.padding.top - this.padding.bottom;
+    }
+
+    xOf(x) {
+        const { xMin, xMax } = this.bounds;
+        return this.padding.left + ((x - xMin) / (xMax - xMin)) * this.plotWidth;
+    }
+
+    yOf(y) {
+        const { yMin, yMax } = this.bounds;
+        return this.canvas.height - this.padding.bottom - ((y - yMin) / (yMax - yMin)) * this.plotHeight;
+    }
+
+    xAt(px) {
+        const { xMin, xMax } = this.bounds;
+        return xMin + ((px - this.padding.left) / this.plotWidth) * (xMax - xMin);
+    }
+
+    yAt(py) {
+        const { yMin, yMax } = this.bounds;
+        return yMin + ((this.canvas.height - this.padding.bottom - py) / this.plotHeight) * (yMax - yMin);
+    }
+
+    /**
+     * Mouse position in canvas pixels (the canvas is scaled by CSS)
+     */
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const sx = rect.width > 0 ? this.canvas.width / rect.width : 1;
+        const sy = rect.height > 0 ? this.canvas.height / rect.height : 1;
+        return { x: (e.clientX - rect.left) * sx, y: (e.clientY - rect.top) * sy };
+    }
+
+    /**
+     * Scale the range by `factor` around a canvas point
+     * @param {{x, y}} point
+     * @param {number} factor - < 1 zooms in
+     * @param {boolean} bothAxes - false: horizontal axis only
+     */
+    zoom(point, factor, bothAxes = true) {
+        const b = this.bounds;
+        const x = this.xAt(point.x);
+        const y = this.yAt(point.y);
+        this.view = {
+            xMin: x - (x - b.xMin) * factor,
+            xMax: x + (b.xMax - x) * factor,
+            yMin: bothAxes ? y - (y - b.yMin) * factor : b.yMin,
+            yMax: bothAxes ? y + (b.yMax - y) * factor : b.yMax
+        };
+        this.onChange();
+    }
+
+    pan(point) {
+        const { start, bounds } = this.drag;
+        const dx = ((point.x - start.x) / this.plotWidth) * (bounds.xMax - bounds.xMin);
+        const dy = ((point.y - start.y) / this.plotHeight) * (bounds.yMax - bounds.yMin);
+        this.view = {
+            xMin: bounds.xMin - dx,
+            xMax: bounds.xMax - dx,
+            yMin: bounds.yMin + dy,
+            yMax: bounds.yMax + dy
+        };
+    }
+
+    /**
+     * Hovered point in plot coordinates, or null outside the plot area
+     */
+    hoverValue() {
+        if (!this.hover) return null;
+        const { x, y } = this.hover;
+        const p = this.padding;
+        if (x < p.left || x > this.canvas.width - p.right || y < p.top || y > this.canvas.height - p.bottom) return null;
+        return { x: this.xAt(x), y: this.yAt(y) };
+    }
+
+    /**
+     * Background, grid, axes and tick labels
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string} xLabel
+     * @param {string} yLabel
+     */
+    drawAxes(ctx, xLabel, yLabel) {
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+        const b = this.bounds;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, w, h);
+
+        const xTicks = niceTicks(b.xMin, b.xMax, Math.max(2, Math.round(this.plotWidth / 60)));
+        const yTicks = niceTicks(b.yMin, b.yMax, Math.max(2, Math.round(this.plotHeight / 25)));
+
+        // Grid
+        ctx.strokeStyle = 'rgba(100, 100, 150, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        for (const x of xTicks.ticks) {
+            ctx.moveTo(this.xOf(x), p.top);
+            ctx.lineTo(this.xOf(x), h - p.bottom);
+        }
+        for (const y of yTicks.ticks) {
+            ctx.moveTo(p.left, this.yOf(y));
+            ctx.lineTo(w - p.right, this.yOf(y));
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Axes
+        ctx.strokeStyle = 'rgba(100, 100, 150, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(p.left, p.top);
+        ctx.lineTo(p.left, h - p.bottom);
+        ctx.lineTo(w - p.right, h - p.bottom);
+        ctx.stroke();
+
+        // Tick labels
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        for (const y of yTicks.ticks) {
+            ctx.fillText(formatTick(y, yTicks.step), p.left - 5, this.yOf(y) + 3);
+        }
+        ctx.textAlign = 'center';
+        for (const x of xTicks.ticks) {
+            ctx.fillText(formatTick(x, xTicks.step), this.xOf(x), h - p.bottom + 12);
+        }
+
+        // Axis names
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.6)';
+        ctx.textAlign = 'right';
+        ctx.fillText(xLabel, w - p.right, h - 4);
+        ctx.textAlign = 'left';
+        ctx.fillText(yLabel, 4, p.top - 8);
+        if (this.view) {
+            ctx.textAlign = 'left';
+            ctx.fillText('zoom · double-clic', p.left, h - 4);
+        }
+    }
+
+    /**
+     * Restrict drawing to the plot area (pair with ctx.restore())
+     */
+    clip(ctx) {
+        const p = this.padding;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(p.left, p.top, this.plotWidth, this.plotHeight);
+        ctx.clip();
+    }
+
+    /**
+     * Mark a data point and show its values in a box near it
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} x - Data coordinates of the point
+     * @param {number} y
+     * @param {string[]} lines - Text lines
+     */
+    drawTooltip(ctx, x, y, lines) {
+        const px = this.xOf(x);
+        const py = this.yOf(y);
+        ctx.fillStyle = 'white';
+        ctx.beginPath();
+        ctx.arc(px, py, 3, 0, 2 * Math.PI);
+        ctx.fill();
+
+        ctx.font = '10px monospace';
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 8;
+        const height = lines.length * 12 + 4;
+        const bx = px + 8 + width > this.canvas.width ? px - 8 - width : px + 8;
+        const by = Math.max(2, Math.min(this.canvas.height - height - 2, py - height / 2));
+        ctx.fillStyle = 'rgba(10, 10, 15, 0.85)';
+        ctx.fillRect(bx, by, width, height);
+        ctx.strokeStyle = 'rgba(160, 160, 176, 0.5)';
+        ctx.strokeRect(bx, by, width, height);
+        ctx.fillStyle = 'rgba(230, 230, 240, 0.95)';
+        ctx.textAlign = 'left';
+        lines.forEach((line, k) => ctx.fillText(line, bx + 4, by + 12 + k * 12));
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Seedable Random Number Generation
+ * Small deterministic PRNG (mulberry32) used in place of Math.random
+ * so that any run can be reproduced from its seed
+ */
+
+/**
+ * Create a PRNG returning floats in [0, 1)
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {function(): number} - Generator, with its seed in `.seed`
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    const rng = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.seed = seed >>> 0;
+    return rng;
+}
+
+/**
+ * Derive an independent child seed (e.g. one per experiment replicate)
+ * @param {number} seed - Parent seed
+ * @param {number} index - Child index
+ * @returns {number}
+ */
+export function deriveSeed(seed, index) {
+    // splitmix32-style mixing of (seed, index)
+    let h = (seed ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Standard normal deviate (Box–Muller)
+ * @param {function(): number} rng - Uniform [0, 1) generator
+ * @returns {number}
+ */
+export function gaussian(rng) {
+    let u = 0;
+    while (u === 0) u = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Fresh seed for a new session
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
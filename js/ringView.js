@@ -4,6 +4,26 @@
  * with HSV color coding and phase indicator needles
  */
 
+import { clusterColor } from './effectiveFrequencies.js';
+import { PIN_FROZEN, PIN_PACEMAKER } from './kuramoto.js';
+
+/**
+ * Phase → colour of the hue wheel hsl(θ, 85%, 55%), shared by the views that colour by phase
+ * @param {number} phase - Phase in radians
+ * @returns {number[]} - [r, g, b], 0–255
+ */
+export function phaseToRgb(phase) {
+    const h = ((((phase / (2 * Math.PI)) * 360) % 360) + 360) % 360;
+    const s = 0.85;
+    const l = 0.55;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => {
+        const k = (n + h / 30) % 12;
+        return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return [f(0), f(8), f(4)];
+}
+
 export class RingView {
     constructor(canvas) {
         this.canvas = canvas;
@@ -19,6 +39,19 @@ export class RingView {
         this.ringRadius = Math.min(this.width, this.height) * 0.35;
         this.nodeRadius = 18;
         this.needleLength = 14;
+        this.scaledFor = 0;
+    }
+
+    /**
+     * Scale node radius and needles to the spacing between N nodes
+     * (needles are dropped once the nodes get too small to hold them)
+     */
+    updateScale(N) {
+        if (N === this.scaledFor) return;
+        const spacing = (2 * Math.PI * this.ringRadius) / N;
+        this.nodeRadius = Math.max(2, Math.min(18, spacing * 0.45));
+        this.needleLength = this.nodeRadius * 0.8;
+        this.scaledFor = N;
     }
 
     /**
@@ -27,18 +60,64 @@ export class RingView {
      * @returns {string} - CSS color string
      */
     phaseToColor(phase) {
-        // Normalize to [0, 1]
-        const hue = (phase / (2 * Math.PI)) * 360;
-        return `hsl(${hue}, 85%, 55%)`;
+        const [r, g, b] = phaseToRgb(phase);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * Screen position of oscillator i on the ring
+     */
+    nodePosition(i, N) {
+        const spatialAngle = (2 * Math.PI * i) / N - Math.PI / 2;
+        return {
+            x: this.centerX + this.ringRadius * Math.cos(spatialAngle),
+            y: this.centerY + this.ringRadius * Math.sin(spatialAngle)
+        };
+    }
+
+    /**
+     * Oscillator under a canvas point, or -1
+     * @param {number} x - Canvas pixels
+     * @param {number} y
+     * @param {number} N
+     * @returns {number}
+     */
+    nodeAt(x, y, N) {
+        // Small nodes keep a usable target
+        const reach = Math.max(this.nodeRadius, 8);
+        let best = -1;
+        let bestDistance = reach;
+        for (let i = 0; i < N; i++) {
+            const p = this.nodePosition(i, N);
+            const distance = Math.hypot(p.x - x, p.y - y);
+            if (distance <= bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Phase whose needle on node i points towards a canvas point
+     */
+    phaseTowards(i, N, x, y) {
+        const p = this.nodePosition(i, N);
+        return Math.atan2(y - p.y, x - p.x) + Math.PI / 2;
     }
 
     /**
      * Render the ring view
      * @param {Float64Array} phases - Array of oscillator phases
+     * @param {Topology} [topology] - Coupling graph whose edges are drawn
+     * @param {{labels: Int32Array}} [clustering] - Frequency-locked clusters to outline (see findClusters)
+     * @param {{pinned: Uint8Array, selected: number}} [marks] - Pinned oscillators and the selected one (-1: none)
      */
-    render(phases) {
+    render(phases, topology = null, clustering = null, marks = null) {
         const ctx = this.ctx;
         const N = phases.length;
+        this.updateScale(N);
+        const showNeedles = this.nodeRadius >= 6;
 
         // Clear canvas
         ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
@@ -51,30 +130,26 @@ export class RingView {
         ctx.lineWidth = 2;
         ctx.stroke();
 
-        // Draw connections between neighbors
-        ctx.beginPath();
-        ctx.strokeStyle = 'rgba(99, 102, 241, 0.2)';
-        ctx.lineWidth = 1;
-
-        for (let i = 0; i < N; i++) {
-            const angle1 = (2 * Math.PI * i) / N - Math.PI / 2;
-            const angle2 = (2 * Math.PI * ((i + 1) % N)) / N - Math.PI / 2;
-
-            const x1 = this.centerX + this.ringRadius * Math.cos(angle1);
-            const y1 = this.centerY + this.ringRadius * Math.sin(angle1);
-            const x2 = this.centerX + this.ringRadius * Math.cos(angle2);
-            const y2 = this.centerY + this.ringRadius * Math.sin(angle2);
-
-            ctx.moveTo(x1, y1);
-            ctx.lineTo(x2, y2);
+        // Draw coupling edges (chords between connected nodes)
+        if (topology) {
+            const edges = topology.getEdges();
+            ctx.beginPath();
+            // Fade dense graphs so the nodes stay readable
+            ctx.strokeStyle = `rgba(99, 102, 241, ${Math.max(0.03, 0.2 * Math.sqrt(Math.min(1, N / edges.length)))})`;
+            ctx.lineWidth = 1;
+
+            for (const [i, j] of edges) {
+                const a = this.nodePosition(i, N);
+                const b = this.nodePosition(j, N);
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+            }
+            ctx.stroke();
         }
-        ctx.stroke();
 
         // Draw oscillators
         for (let i = 0; i < N; i++) {
-            const spatialAngle = (2 * Math.PI * i) / N - Math.PI / 2;
-            const x = this.centerX + this.ringRadius * Math.cos(spatialAngle);
-            const y = this.centerY + this.ringRadius * Math.sin(spatialAngle);
+            const { x, y } = this.nodePosition(i, N);
 
             const phase = phases[i];
             const color = this.phaseToColor(phase);
@@ -87,9 +162,44 @@ export class RingView {
 
             // Draw border
             ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-            ctx.lineWidth = 2;
+            ctx.lineWidth = Math.min(2, this.nodeRadius / 4);
             ctx.stroke();
 
+            // Outline in the colour of the node's frequency-locked cluster
+            if (clustering && clustering.labels[i] >= 0) {
+                ctx.beginPath();
+                ctx.arc(x, y, this.nodeRadius + 2.5, 0, 2 * Math.PI);
+                ctx.strokeStyle = clusterColor(clustering.labels[i]);
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
+            // Frozen: square frame; pacemaker: amber ring
+            const pin = marks ? marks.pinned[i] : 0;
+            if (pin === PIN_FROZEN) {
+                const half = this.nodeRadius + 3;
+                ctx.strokeStyle = 'rgba(226, 232, 240, 0.9)';
+                ctx.lineWidth = 1.5;
+                ctx.strokeRect(x - half, y - half, 2 * half, 2 * half);
+            } else if (pin === PIN_PACEMAKER) {
+                ctx.beginPath();
+                ctx.arc(x, y, this.nodeRadius + 5, 0, 2 * Math.PI);
+                ctx.strokeStyle = 'rgba(251, 191, 36, 0.95)';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+            if (marks && marks.selected === i) {
+                ctx.beginPath();
+                ctx.arc(x, y, this.nodeRadius + 8, 0, 2 * Math.PI);
+                ctx.strokeStyle = 'white';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([3, 2]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            if (!showNeedles) continue;
+
             // Draw phase needle (like a clock hand)
             const needleAngle = phase - Math.PI / 2; // Adjust so 0 points up
             const needleX = x + this.needleLength * Math.cos(needleAngle);
@@ -99,13 +209,13 @@ export class RingView {
             ctx.moveTo(x, y);
             ctx.lineTo(needleX, needleY);
             ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
-            ctx.lineWidth = 2;
+            ctx.lineWidth = Math.min(2, this.nodeRadius / 6);
             ctx.lineCap = 'round';
             ctx.stroke();
 
             // Draw small circle at needle tip
             ctx.beginPath();
-            ctx.arc(needleX, needleY, 3, 0, 2 * Math.PI);
+            ctx.arc(needleX, needleY, Math.min(3, this.nodeRadius / 6), 0, 2 * Math.PI);
             ctx.fillStyle = 'white';
             ctx.fill();
         }
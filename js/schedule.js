@@ -0,0 +1,260 @@
+/**
+ * Parameter Schedules
+ * Scripted demos: time profiles of K (and of α, D, F, Ω) plus timed events,
+ * stored as JSON and replayed identically. Times count from the start of the schedule.
+ *
+ *   {
+ *     "format": "kuramoto-schedule", "version": 1,
+ *     "name": "Rampe et perturbation",
+ *     "duration": 150,                                        // optional end
+ *     "profiles": {
+ *       "K": { "type": "linear", "points": [[0, 0.2], [100, 2.5]] },   // hold after the last point
+ *       "alpha": { "type": "step", "points": [[0, 0], [60, 1.4]] },
+ *       "F": { "type": "sine", "mean": 0.5, "amplitude": 0.3, "period": 40 }
+ *     },
+ *     "events": [
+ *       { "t": 50, "action": "perturb", "intensity": 0.3 },
+ *       { "t": 80, "action": "phases", "init": "twisted", "q": 2 },
+ *       { "t": 120, "action": "frequencies", "type": "gaussian", "width": 0.3 },
+ *       { "t": 150, "action": "pause" }
+ *     ]
+ *   }
+ */
+
+import { FREQUENCY_TYPES } from './frequencies.js';
+
+export const SCHEDULE_FORMAT = 'kuramoto-schedule';
+export const SCHEDULE_VERSION = 1;
+
+// Scheduled parameters and their allowed ranges
+export const SCHEDULE_PARAMETERS = {
+    K: [0, 5],
+    alpha: [0, Math.PI],
+    noise: [0, 1],
+    F: [0, 5],
+    Omega: [-10, 10]
+};
+const PROFILE_TYPES = ['linear', 'step', 'sine'];
+const EVENT_ACTIONS = ['perturb', 'phases', 'frequencies', 'pause'];
+const INIT_TYPES = ['random', 'quasiSync', 'twisted1', 'twisted2', 'twisted', 'chimera'];
+// An explicit ωᵢ list fixes N, so it cannot be switched to mid-run
+const EVENT_FREQUENCY_TYPES = FREQUENCY_TYPES.filter(type => type !== 'custom');
+
+/**
+ * Value of a profile at schedule time t
+ * @param {Object} profile - Validated profile
+ * @param {number} t
+ * @returns {number}
+ */
+export function profileValue(profile, t) {
+    if (profile.type === 'sine') {
+        const { mean, amplitude, period, phase = 0 } = profile;
+        return mean + amplitude * Math.sin((2 * Math.PI * t) / period + phase);
+    }
+
+    const points = profile.points;
+    if (t <= points[0][0]) return points[0][1];
+    for (let k = 1; k < points.length; k++) {
+        const [t1, v1] = points[k];
+        if (t < t1) {
+            const [t0, v0] = points[k - 1];
+            return profile.type === 'step' ? v0 : v0 + ((v1 - v0) * (t - t0)) / (t1 - t0);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+/**
+ * Time after which nothing changes any more: `duration` if given, else the
+ * last event or profile point (Infinity with a sine profile)
+ */
+export function scheduleEnd(schedule) {
+    if (schedule.duration !== undefined) return schedule.duration;
+    let end = 0;
+    for (const event of schedule.events) end = Math.max(end, event.t);
+    for (const profile of Object.values(schedule.profiles)) {
+        end = Math.max(end, profile.type === 'sine' ? Infinity : profile.points[profile.points.length - 1][0]);
+    }
+    return end;
+}
+
+/**
+ * Parse and validate a schedule
+ * @param {string} text - JSON
+ * @returns {Object} - Schedule with events sorted by time
+ * @throws {Error} - With a message naming the offending field
+ */
+export function parseSchedule(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`JSON invalide : ${e.message}`);
+    }
+    if (!isObject(data) || data.format !== SCHEDULE_FORMAT) {
+        throw new Error(`Ce n'est pas un programme (champ « format » : "${SCHEDULE_FORMAT}" attendu)`);
+    }
+    if (data.version !== undefined && (!Number.isInteger(data.version) || data.version > SCHEDULE_VERSION)) {
+        throw new Error(`Version de programme non prise en charge (version ${SCHEDULE_VERSION} au plus)`);
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        throw new Error('Champ « name » invalide : texte attendu');
+    }
+    if (data.duration !== undefined) requireNumber(data, 'duration', '', 0);
+
+    const profiles = data.profiles ?? {};
+    if (!isObject(profiles)) throw new Error('Champ « profiles » invalide : objet attendu');
+    for (const [name, profile] of Object.entries(profiles)) {
+        if (!(name in SCHEDULE_PARAMETERS)) {
+            throw new Error(`Paramètre programmable inconnu : « ${name} » (${Object.keys(SCHEDULE_PARAMETERS).join(', ')})`);
+        }
+        validateProfile(profile, `profiles.${name}`);
+    }
+
+    const events = data.events ?? [];
+    if (!Array.isArray(events)) throw new Error('Champ « events » invalide : liste attendue');
+    events.forEach((event, k) => validateEvent(event, `events[${k}]`));
+
+    return {
+        format: SCHEDULE_FORMAT,
+        version: SCHEDULE_VERSION,
+        name: data.name ?? '',
+        ...(data.duration !== undefined ? { duration: data.duration } : {}),
+        profiles,
+        // Stable sort: events at the same time run in file order
+        events: [...events].sort((a, b) => a.t - b.t)
+    };
+}
+
+function validateProfile(profile, path) {
+    if (!isObject(profile) || !PROFILE_TYPES.includes(profile.type)) {
+        throw new Error(`Champ « ${path}.type » invalide : ${PROFILE_TYPES.join(', ')} attendu`);
+    }
+    if (profile.type === 'sine') {
+        requireNumber(profile, 'mean', path);
+        requireNumber(profile, 'amplitude', path);
+        requireNumber(profile, 'period', path, Number.MIN_VALUE);
+        if (profile.phase !== undefined) requireNumber(profile, 'phase', path);
+        return;
+    }
+    const points = profile.points;
+    const valid = Array.isArray(points) && points.length > 0 && points.every(p =>
+        Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+    if (!valid) {
+        throw new Error(`Champ « ${path}.points » invalide : liste de [t, valeur] attendue`);
+    }
+    for (let k = 1; k < points.length; k++) {
+        if (points[k][0] <= points[k - 1][0]) {
+            throw new Error(`Champ « ${path}.points » : temps non croissants (t = ${points[k][0]})`);
+        }
+    }
+}
+
+function validateEvent(event, path) {
+    if (!isObject(event)) throw new Error(`Champ « ${path} » invalide : objet attendu`);
+    requireNumber(event, 't', path, 0);
+    if (!EVENT_ACTIONS.includes(event.action)) {
+        throw new Error(`Champ « ${path}.action » invalide : ${EVENT_ACTIONS.join(', ')} attendu`);
+    }
+    if (event.action === 'perturb' && event.intensity !== undefined) {
+        requireNumber(event, 'intensity', path, 0, 1);
+    }
+    if (event.action === 'phases') {
+        if (!INIT_TYPES.includes(event.init)) {
+            throw new Error(`Champ « ${path}.init » invalide : ${INIT_TYPES.join(', ')} attendu`);
+        }
+        if (event.q !== undefined && !Number.isInteger(event.q)) {
+            throw new Error(`Champ « ${path}.q » invalide : entier attendu`);
+        }
+        if (event.noise !== undefined) requireNumber(event, 'noise', path, 0);
+    }
+    if (event.action === 'frequencies') {
+        if (!EVENT_FREQUENCY_TYPES.includes(event.type)) {
+            throw new Error(`Champ « ${path}.type » invalide : ${EVENT_FREQUENCY_TYPES.join(', ')} attendu`);
+        }
+        if (event.mean !== undefined) requireNumber(event, 'mean', path);
+        if (event.width !== undefined) requireNumber(event, 'width', path, 0);
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireNumber(obj, key, parent, min = -Infinity, max = Infinity) {
+    const value = obj[key];
+    const name = parent ? `${parent}.${key}` : key;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Champ « ${name} » manquant ou invalide : nombre attendu`);
+    }
+    if (value < min || value > max) {
+        throw new Error(`Champ « ${name} » hors limites : ${value}`);
+    }
+}
+
+/**
+ * Plays a schedule against the simulation clock
+ */
+export class ScheduleRunner {
+    /**
+     * @param {Object} schedule - From parseSchedule()
+     * @param {number} startTime - Simulation time at which the schedule starts
+     */
+    constructor(schedule, startTime) {
+        this.schedule = schedule;
+        this.end = scheduleEnd(schedule);
+        this.restart(startTime);
+    }
+
+    /**
+     * Start again from the beginning at `startTime`
+     */
+    restart(startTime) {
+        this.startTime = startTime;
+        this.nextEvent = 0;       // Index of the first event not fired yet
+        this.elapsed = 0;
+        this.finished = false;
+    }
+
+    /**
+     * Advance to simulation time `time`
+     * A clock going back before the start (reset) replays the schedule from the
+     * start; going back within it (timeline) skips the events already past.
+     * @param {number} time
+     * @returns {{values: Object, events: Object[]}} - profile values at this time
+     *          (clamped to the parameter ranges) and the events now due, in order
+     */
+    update(time) {
+        const elapsed = time - this.startTime;
+        if (elapsed < this.elapsed) {
+            if (elapsed <= 0) {
+                this.restart(time);
+            } else {
+                const next = this.schedule.events.findIndex(event => event.t > elapsed);
+                this.nextEvent = next < 0 ? this.schedule.events.length : next;
+            }
+        }
+        this.elapsed = Math.min(time - this.startTime, this.end);
+
+        const values = {};
+        for (const [name, profile] of Object.entries(this.schedule.profiles)) {
+            const [min, max] = SCHEDULE_PARAMETERS[name];
+            values[name] = Math.max(min, Math.min(max, profileValue(profile, this.elapsed)));
+        }
+
+        const events = [];
+        const all = this.schedule.events;
+        while (this.nextEvent < all.length && all[this.nextEvent].t <= this.elapsed) {
+            events.push(all[this.nextEvent++]);
+        }
+        this.finished = this.elapsed >= this.end && this.nextEvent === all.length;
+        return { values, events };
+    }
+
+    /**
+     * Next event not fired yet, or null
+     */
+    get upcoming() {
+        return this.schedule.events[this.nextEvent] ?? null;
+    }
+}
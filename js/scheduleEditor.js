@@ -0,0 +1,229 @@
+/**
+ * Schedule Editor
+ * JSON editor for parameter schedules (see schedule.js): runs the schedule
+ * against the simulation clock, and saves or loads it as a file
+ */
+
+import { appState } from './state.js';
+import { parseSchedule, ScheduleRunner, SCHEDULE_FORMAT, SCHEDULE_VERSION } from './schedule.js';
+import { downloadFile } from './dataExport.js';
+
+const EXAMPLE_SCHEDULE = {
+    format: SCHEDULE_FORMAT,
+    version: SCHEDULE_VERSION,
+    name: 'Rampe de K et perturbation',
+    profiles: {
+        K: { type: 'linear', points: [[0, 0.2], [60, 2.5], [100, 2.5], [160, 0.2]] }
+    },
+    events: [
+        { t: 0, action: 'phases', init: 'random' },
+        { t: 80, action: 'perturb', intensity: 0.5 },
+        { t: 160, action: 'pause' }
+    ]
+};
+
+const PARAMETER_LABELS = { K: 'K', alpha: 'α', noise: 'D', F: 'F', Omega: 'Ω' };
+// Input and value label of each parameter (K is shown by Controls.updateDisplays)
+const PARAMETER_WIDGETS = {
+    alpha: ['alphaSlider', 'alphaValue'],
+    noise: ['noiseSlider', 'noiseValue'],
+    F: ['forcingSlider', 'forcingValue'],
+    Omega: ['forcingOmegaInput', null]
+};
+
+export class ScheduleEditor {
+    /**
+     * @param {KuramotoSimulator} simulator
+     * @param {Controls} controls - Keeps the widgets and the play button in step
+     */
+    constructor(simulator, controls) {
+        this.simulator = simulator;
+        this.controls = controls;
+        this.runner = null;
+
+        this.input = document.getElementById('scheduleInput');
+        this.status = document.getElementById('scheduleStatus');
+        this.error = document.getElementById('scheduleError');
+
+        document.getElementById('scheduleRunBtn').addEventListener('click', () => this.start());
+        document.getElementById('scheduleStopBtn').addEventListener('click', () => this.stop());
+        document.getElementById('scheduleExampleBtn').addEventListener('click', () => {
+            this.input.value = JSON.stringify(EXAMPLE_SCHEDULE, null, 2);
+            this.error.textContent = '';
+        });
+        document.getElementById('scheduleSaveBtn').addEventListener('click', () => this.save());
+
+        const fileInput = document.getElementById('scheduleFileInput');
+        document.getElementById('scheduleLoadBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            const text = await file.text();
+            try {
+                parseSchedule(text);
+                this.input.value = text;
+                this.error.textContent = '';
+            } catch (e) {
+                this.error.textContent = `${file.name} : ${e.message}`;
+            }
+        });
+
+        this.showStatus();
+    }
+
+    /**
+     * Validated schedule from the editor, or null (the error is shown)
+     */
+    read() {
+        try {
+            const schedule = parseSchedule(this.input.value);
+            this.error.textContent = '';
+            return schedule;
+        } catch (e) {
+            this.error.textContent = e.message;
+            return null;
+        }
+    }
+
+    /**
+     * Start the schedule at the current simulation time and play
+     */
+    start() {
+        const schedule = this.read();
+        if (!schedule) return;
+        // A K profile replaces the sweep
+        if ('K' in schedule.profiles) appState.stopSweep();
+        this.runner = new ScheduleRunner(schedule, appState.time);
+        this.step();
+        if (this.runner) this.controls.setRunning(true);
+    }
+
+    stop() {
+        this.runner = null;
+        this.showStatus();
+    }
+
+    save() {
+        const schedule = this.read();
+        if (!schedule) return;
+        const name = schedule.name.trim().replace(/[^\w-]+/g, '-') || 'programme';
+        downloadFile(`${name}.json`, this.input.value, 'application/json');
+    }
+
+    /**
+     * Apply the profiles and fire the events due at appState.time;
+     * called after every simulation step
+     */
+    step() {
+        if (!this.runner) return;
+        const { values, events } = this.runner.update(appState.time);
+        this.applyValues(values);
+        for (const event of events) this.fire(event);
+
+        if (this.runner.finished) {
+            this.runner = null;
+            this.showStatus('Programme terminé');
+        } else {
+            this.showStatus();
+        }
+    }
+
+    /**
+     * Set the profile values that changed since the last step, with their
+     * widgets (the K slider already follows appState on every frame)
+     */
+    applyValues(values) {
+        const changed = Object.keys(values).filter(name => values[name] !== appStateValue(name));
+        if (changed.length === 0) return;
+        if (changed.includes('K')) {
+            appState.setK(values.K);
+            this.simulator.setCoupling(appState.K);
+        }
+        if (changed.includes('alpha')) {
+            appState.setAlpha(values.alpha);
+            this.simulator.setPhaseLag(appState.alpha);
+        }
+        if (changed.includes('noise')) {
+            appState.setNoise(values.noise);
+            this.simulator.setNoise(appState.noise);
+        }
+        if (changed.includes('F') || changed.includes('Omega')) {
+            appState.setForcing({
+                ...(values.F !== undefined ? { F: values.F } : {}),
+                ...(values.Omega !== undefined ? { Omega: values.Omega } : {})
+            });
+            this.simulator.setForcing(appState.forcing);
+        }
+        changed.forEach(showValue);
+    }
+
+    /**
+     * Run one event; the histories are kept so that the whole demo stays on one time axis
+     */
+    fire(event) {
+        switch (event.action) {
+            case 'perturb':
+                this.simulator.perturb(event.intensity ?? 0.1);
+                break;
+            case 'phases':
+                appState.setInitType(event.init, {
+                    ...(event.q !== undefined ? { q: event.q } : {}),
+                    noise: event.noise ?? 0
+                });
+                this.simulator.setInitialPhases(appState.initType, appState.initParams);
+                this.controls.syncWidgets();
+                break;
+            case 'frequencies':
+                appState.setFrequencyType(event.type);
+                appState.setFrequencyParams({
+                    ...(event.mean !== undefined ? { mean: event.mean } : {}),
+                    ...(event.width !== undefined ? { width: event.width } : {})
+                });
+                this.simulator.setFrequencies(appState.frequencyType, appState.frequencyParams);
+                this.controls.syncWidgets();
+                break;
+            case 'pause':
+                this.controls.setRunning(false);
+                break;
+        }
+    }
+
+    /**
+     * @param {string} [message] - Shown when no schedule is running
+     */
+    showStatus(message = 'Aucun programme en cours') {
+        const runner = this.runner;
+        if (!runner) {
+            this.status.textContent = message;
+            return;
+        }
+        const values = Object.keys(runner.schedule.profiles)
+            .map(name => `${PARAMETER_LABELS[name]} = ${appStateValue(name).toFixed(2)}`);
+        const next = runner.upcoming;
+        const end = Number.isFinite(runner.end) ? ` / ${runner.end.toFixed(0)}` : '';
+        this.status.textContent = [
+            `τ = ${runner.elapsed.toFixed(1)}${end}`,
+            ...values,
+            next ? `prochain : ${next.action} à τ = ${next.t}` : null
+        ].filter(Boolean).join(' · ');
+    }
+}
+
+function appStateValue(name) {
+    if (name === 'F' || name === 'Omega') return appState.forcing[name];
+    return appState[name];
+}
+
+/**
+ * Show a parameter's new value, leaving alone an input being edited
+ */
+function showValue(name) {
+    const widgets = PARAMETER_WIDGETS[name];
+    if (!widgets) return;
+    const [inputId, labelId] = widgets;
+    const value = appStateValue(name);
+    const input = document.getElementById(inputId);
+    if (input !== document.activeElement) input.value = value;
+    if (labelId) document.getElementById(labelId).textContent = value.toFixed(2);
+}
@@ -0,0 +1,218 @@
+/**
+ * Simulation Snapshots
+ * Versioned JSON export/import of the full simulator and application state
+ */
+
+import { INTEGRATORS, PIN_FREE, PIN_PACEMAKER } from './kuramoto.js';
+import { FREQUENCY_TYPES } from './frequencies.js';
+import { TOPOLOGY_TYPES } from './topology.js';
+
+export const SNAPSHOT_FORMAT = 'kuramoto-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+// Topologies drawn at random are stored edge by edge; the others are rebuilt from their parameters
+const RANDOM_TOPOLOGIES = ['smallWorld', 'random'];
+
+/**
+ * Capture the current state
+ * @param {KuramotoSimulator} simulator
+ * @param {AppState} state
+ * @returns {Object} - Plain object, ready for JSON.stringify
+ */
+export function createSnapshot(simulator, state) {
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        createdAt: new Date().toISOString(),
+        params: {
+            N: simulator.N,
+            K: state.K,
+            alpha: state.alpha,
+            noise: state.noise,
+            dt: state.dt,
+            speed: state.speedMultiplier,
+            integrator: state.integrator,
+            atol: state.atol,
+            rtol: state.rtol,
+            mode: state.mode,
+            seed: state.seed,
+            topologyType: state.topologyType,
+            topologyParams: { ...state.topologyParams },
+            frequencyType: state.frequencyType,
+            frequencyParams: { ...state.frequencyParams },
+            initType: state.initType,
+            initParams: { ...state.initParams },
+            forcing: { ...state.forcing, selection: [...state.forcing.selection] }
+        },
+        simulator: {
+            time: state.time,
+            phases: Array.from(simulator.phases),
+            frequencies: Array.from(simulator.frequencies),
+            pinned: Array.from(simulator.pinned),
+            adaptiveDt: simulator.adaptiveDt,
+            edges: RANDOM_TOPOLOGIES.includes(simulator.topology.type) ? simulator.topology.getEdges() : null
+        },
+        history: {
+            rHistory: [...state.rHistory],
+            tHistory: [...state.tHistory],
+            psiHistory: [...state.psiHistory],
+            qHistory: [...state.qHistory],
+            hysteresisUp: state.hysteresisUp.map(({ K, r }) => ({ K, r })),
+            hysteresisDown: state.hysteresisDown.map(({ K, r }) => ({ K, r })),
+            hysteresisBranches: state.hysteresisBranches.map(({ direction, points }) => ({
+                direction,
+                points: points.map(({ K, r, std }) => ({ K, r, std }))
+            }))
+        }
+    };
+}
+
+/**
+ * Parse and validate a snapshot file
+ * @param {string} text - File contents
+ * @returns {Object} - Snapshot, with optional fields filled in
+ * @throws {Error} - With a message naming the offending field
+ */
+export function parseSnapshot(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Fichier illisible : ce n\'est pas du JSON valide');
+    }
+
+    if (!isObject(data) || data.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Ce fichier n\'est pas un instantané de simulation Kuramoto');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Version d\'instantané manquante ou invalide');
+    }
+    if (data.version > SNAPSHOT_VERSION) {
+        throw new Error(`Instantané en version ${data.version}, non prise en charge (version ${SNAPSHOT_VERSION} au plus)`);
+    }
+
+    const params = requireObject(data, 'params');
+    const N = params.N;
+    if (!Number.isInteger(N) || N < 3 || N > 500) {
+        throw new Error('Champ « params.N » invalide : entier entre 3 et 500 attendu');
+    }
+    requireNumber(params, 'K', 'params', 0, 5);
+    requireNumber(params, 'alpha', 'params', 0, Math.PI);
+    requireNumber(params, 'noise', 'params', 0, 1);
+    requireNumber(params, 'dt', 'params', 1e-6, 1);
+    requireNumber(params, 'speed', 'params', 0.25, 4);
+    requireChoice(params, 'integrator', 'params', INTEGRATORS);
+    requireNumber(params, 'atol', 'params', 0);
+    requireNumber(params, 'rtol', 'params', 0);
+    requireChoice(params, 'mode', 'params', [1, 2, 3, 4]);
+    if (!Number.isInteger(params.seed) || params.seed < 0 || params.seed > 0xFFFFFFFF) {
+        throw new Error('Champ « params.seed » invalide : entier 32 bits attendu');
+    }
+    requireChoice(params, 'topologyType', 'params', TOPOLOGY_TYPES);
+    requireObject(params, 'topologyParams', 'params');
+    requireChoice(params, 'frequencyType', 'params', FREQUENCY_TYPES);
+    requireObject(params, 'frequencyParams', 'params');
+    if (typeof params.initType !== 'string') {
+        throw new Error('Champ « params.initType » manquant ou invalide');
+    }
+    requireObject(params, 'initParams', 'params');
+    if (params.forcing !== undefined) {
+        const forcing = requireObject(params, 'forcing', 'params');
+        requireNumber(forcing, 'F', 'params.forcing', 0, 5);
+        requireNumber(forcing, 'Omega', 'params.forcing', -10, 10);
+        requireChoice(forcing, 'subset', 'params.forcing', ['all', 'arc', 'selection']);
+        requireNumber(forcing, 'fraction', 'params.forcing', 0, 1);
+        requireNumberArray(forcing, 'selection', 'params.forcing');
+    }
+
+    const sim = requireObject(data, 'simulator');
+    requireNumber(sim, 'time', 'simulator', 0);
+    requireNumberArray(sim, 'phases', 'simulator', N);
+    requireNumberArray(sim, 'frequencies', 'simulator', N);
+    if (sim.pinned === undefined) sim.pinned = new Array(N).fill(PIN_FREE);
+    requireNumberArray(sim, 'pinned', 'simulator', N);
+    if (!sim.pinned.every(mode => Number.isInteger(mode) && mode >= PIN_FREE && mode <= PIN_PACEMAKER)) {
+        throw new Error('Champ « simulator.pinned » invalide : 0 (libre), 1 (figé) ou 2 (pacemaker) attendus');
+    }
+    if (sim.adaptiveDt !== undefined) requireNumber(sim, 'adaptiveDt', 'simulator', 0);
+    if (sim.edges !== undefined && sim.edges !== null) {
+        const valid = Array.isArray(sim.edges) && sim.edges.every(edge =>
+            Array.isArray(edge) && edge.length === 3 &&
+            Number.isInteger(edge[0]) && Number.isInteger(edge[1]) &&
+            edge[0] >= 0 && edge[0] < N && edge[1] >= 0 && edge[1] < N &&
+            Number.isFinite(edge[2]));
+        if (!valid) {
+            throw new Error('Champ « simulator.edges » invalide : liste de [i, j, poids] attendue');
+        }
+    }
+
+    const history = data.history === undefined ? {} : requireObject(data, 'history');
+    if (history.rHistory === undefined) history.rHistory = [];
+    requireNumberArray(history, 'rHistory', 'history');
+    // Series alongside r(t); files without them get t = 0, ψ = 0, q = 0
+    for (const key of ['tHistory', 'psiHistory', 'qHistory']) {
+        if (history[key] === undefined) history[key] = history.rHistory.map(() => 0);
+        requireNumberArray(history, key, 'history', history.rHistory.length);
+    }
+    for (const key of ['hysteresisUp', 'hysteresisDown']) {
+        if (history[key] === undefined) history[key] = [];
+        const valid = Array.isArray(history[key]) && history[key].every(point =>
+            isObject(point) && Number.isFinite(point.K) && Number.isFinite(point.r));
+        if (!valid) {
+            throw new Error(`Champ « history.${key} » invalide : liste de { K, r } attendue`);
+        }
+    }
+    // Quasi-static branches (absent from older files)
+    if (history.hysteresisBranches === undefined) history.hysteresisBranches = [];
+    const validBranches = Array.isArray(history.hysteresisBranches) && history.hysteresisBranches.every(branch =>
+        isObject(branch) && (branch.direction === 1 || branch.direction === -1) && Array.isArray(branch.points) &&
+        branch.points.every(point => isObject(point) &&
+            Number.isFinite(point.K) && Number.isFinite(point.r) && Number.isFinite(point.std)));
+    if (!validBranches) {
+        throw new Error('Champ « history.hysteresisBranches » invalide : liste de { direction: ±1, points: [{ K, r, std }] } attendue');
+    }
+    data.history = history;
+
+    return data;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function fieldName(parent, key) {
+    return parent ? `${parent}.${key}` : key;
+}
+
+function requireObject(obj, key, parent = '') {
+    if (!isObject(obj[key])) {
+        throw new Error(`Champ « ${fieldName(parent, key)} » manquant ou invalide : objet attendu`);
+    }
+    return obj[key];
+}
+
+function requireNumber(obj, key, parent, min = -Infinity, max = Infinity) {
+    const value = obj[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Champ « ${fieldName(parent, key)} » manquant ou invalide : nombre attendu`);
+    }
+    if (value < min || value > max) {
+        throw new Error(`Champ « ${fieldName(parent, key)} » hors limites : ${value}`);
+    }
+}
+
+function requireChoice(obj, key, parent, choices) {
+    if (!choices.includes(obj[key])) {
+        throw new Error(`Champ « ${fieldName(parent, key)} » invalide : ${choices.join(', ')} attendu`);
+    }
+}
+
+function requireNumberArray(obj, key, parent, length = null) {
+    const value = obj[key];
+    if (!Array.isArray(value) || !value.every(Number.isFinite)) {
+        throw new Error(`Champ « ${fieldName(parent, key)} » invalide : liste de nombres attendue`);
+    }
+    if (length !== null && value.length !== length) {
+        throw new Error(`Champ « ${fieldName(parent, key)} » : ${value.length} valeurs au lieu de ${length}`);
+    }
+}
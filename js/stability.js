@@ -0,0 +1,370 @@
+/**
+ * Linear Stability Analysis
+ * Analytic spectra of q-twisted states on circulant coupling graphs,
+ * and numerical eigenvalues of the Jacobian at arbitrary phases
+ */
+
+import { PIN_FREE } from './kuramoto.js';
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Coupling profile of a circulant graph: weight as a function of the offset j − i (mod N)
+ * @param {Topology} topology
+ * @returns {Map<number, number>|null} - offset → weight, or null if the graph is not circulant
+ */
+export function circulantProfile(topology) {
+    const { N, offsets, neighbors, weights } = topology;
+    const profile = new Map();
+    for (let e = offsets[0]; e < offsets[1]; e++) {
+        profile.set(neighbors[e], weights[e]);
+    }
+    for (let i = 1; i < N; i++) {
+        if (offsets[i + 1] - offsets[i] !== profile.size) return null;
+        for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+            const w = profile.get((neighbors[e] - i + N) % N);
+            if (w === undefined || Math.abs(w - weights[e]) > 1e-12 * Math.abs(w)) return null;
+        }
+    }
+    return profile;
+}
+
+/**
+ * Eigenvalues of the q-twisted state θⱼ = 2πqj/N + Ωt for identical frequencies
+ * λₘ = (K/d) Σₛ wₛ cos(2πqs/N − α) (e^{2πims/N} − 1), m = 0…N−1 (m = 0 is the neutral rotation)
+ * @param {Map<number, number>} profile - From circulantProfile
+ * @param {number} N
+ * @param {number} K
+ * @param {number} q
+ * @param {number} alpha - Phase lag
+ * @param {Float64Array} [cosTable] - cos(2πk/N), k = 0…N−1 (shared between calls)
+ * @param {Float64Array} [sinTable] - sin(2πk/N)
+ * @returns {{re: Float64Array, im: Float64Array}}
+ */
+export function twistedSpectrum(profile, N, K, q, alpha = 0, cosTable = null, sinTable = null) {
+    cosTable ??= Float64Array.from({ length: N }, (_, k) => Math.cos(TWO_PI * k / N));
+    sinTable ??= Float64Array.from({ length: N }, (_, k) => Math.sin(TWO_PI * k / N));
+
+    let degree = 0;
+    for (const w of profile.values()) degree += w;
+
+    // Effective coupling per offset: cₛ = (K/d) wₛ cos(2πqs/N − α)
+    const shifts = [];
+    const coefs = [];
+    let total = 0;
+    for (const [s, w] of profile) {
+        const c = (K / degree) * w * Math.cos(TWO_PI * q * s / N - alpha);
+        shifts.push(s);
+        coefs.push(c);
+        total += c;
+    }
+
+    // Index of e^{2πims/N} in the tables, advanced by s at each m
+    const index = new Int32Array(shifts.length);
+    const re = new Float64Array(N);
+    const im = new Float64Array(N);
+    for (let m = 0; m < N; m++) {
+        let sumCos = 0;
+        let sumSin = 0;
+        for (let k = 0; k < shifts.length; k++) {
+            const idx = index[k];
+            sumCos += coefs[k] * cosTable[idx];
+            sumSin += coefs[k] * sinTable[idx];
+            index[k] = idx + shifts[k] >= N ? idx + shifts[k] - N : idx + shifts[k];
+        }
+        re[m] = sumCos - total;
+        im[m] = sumSin;
+    }
+    return { re, im };
+}
+
+/**
+ * Stability of every q-twisted state, q = 0…⌊N/2⌋ (q and −q share a spectrum)
+ * @param {Topology} topology
+ * @param {number} K
+ * @param {number} alpha
+ * @returns {Array<{q: number, leading: number, stable: boolean, marginal: boolean}>|null} - null if the
+ *          graph is not circulant; `leading` is the largest real part among the non-neutral modes (m ≠ 0)
+ */
+export function analyzeTwistedStates(topology, K, alpha = 0) {
+    const profile = circulantProfile(topology);
+    if (!profile) return null;
+
+    const N = topology.N;
+    const cosTable = Float64Array.from({ length: N }, (_, k) => Math.cos(TWO_PI * k / N));
+    const sinTable = Float64Array.from({ length: N }, (_, k) => Math.sin(TWO_PI * k / N));
+    const tolerance = 1e-9 * Math.max(1, K);
+
+    const states = [];
+    for (let q = 0; q <= Math.floor(N / 2); q++) {
+        const { re } = twistedSpectrum(profile, N, K, q, alpha, cosTable, sinTable);
+        let leading = -Infinity;
+        for (let m = 1; m < N; m++) leading = Math.max(leading, re[m]);
+        states.push({ q, leading, stable: leading < -tolerance, marginal: Math.abs(leading) <= tolerance });
+    }
+    return states;
+}
+
+/**
+ * Jacobian of the phase equations at the given phases (dense, row-major)
+ * Jᵢⱼ = (K/dᵢ) wᵢⱼ cos(θⱼ − θᵢ − α), Jᵢᵢ = −Σⱼ Jᵢⱼ − F cos(Ωt − θᵢ) for driven
+ * oscillators; the rows of pinned oscillators (fixed phase or rate) are zero
+ * @param {Float64Array} phases
+ * @param {Topology} topology
+ * @param {number} K
+ * @param {number} alpha
+ * @param {Object} [options] - { forcing: {F, Omega}, forced, pinned, time }, as held by the simulator
+ * @returns {Float64Array} - N × N
+ */
+export function jacobian(phases, topology, K, alpha = 0, options = {}) {
+    const N = phases.length;
+    const { offsets, neighbors, weights, degrees } = topology;
+    const { forcing = null, forced = null, pinned = null, time = 0 } = options;
+    const F = forcing ? forcing.F : 0;
+    const drivePhase = forcing ? forcing.Omega * time : 0;
+    const J = new Float64Array(N * N);
+    for (let i = 0; i < N; i++) {
+        if (pinned && pinned[i] !== PIN_FREE) continue;
+        if (F !== 0 && forced && forced[i]) {
+            J[i * N + i] -= F * Math.cos(drivePhase - phases[i]);
+        }
+        if (degrees[i] === 0) continue;
+        const scale = K / degrees[i];
+        let diagonal = 0;
+        for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+            const j = neighbors[e];
+            const value = scale * weights[e] * Math.cos(phases[j] - phases[i] - alpha);
+            J[i * N + j] += value;
+            diagonal += value;
+        }
+        J[i * N + i] -= diagonal;
+    }
+    return J;
+}
+
+/**
+ * Eigenvalues of a general real matrix: balancing, reduction to Hessenberg
+ * form by elimination, then the shifted QR algorithm (after Numerical Recipes)
+ * @param {Float64Array} matrix - n × n, row-major (not modified)
+ * @param {number} n
+ * @returns {{re: Float64Array, im: Float64Array}}
+ * @throws {Error} - If QR fails to converge
+ */
+export function eigenvalues(matrix, n) {
+    // 1-based rows to follow the classical formulation
+    const a = [null];
+    for (let i = 0; i < n; i++) {
+        const row = new Float64Array(n + 1);
+        row.set(matrix.subarray(i * n, (i + 1) * n), 1);
+        a.push(row);
+    }
+    balance(a, n);
+    toHessenberg(a, n);
+    return hessenbergQR(a, n);
+}
+
+function balance(a, n) {
+    const RADIX = 2;
+    const sqrdx = RADIX * RADIX;
+    let done = false;
+    while (!done) {
+        done = true;
+        for (let i = 1; i <= n; i++) {
+            let r = 0;
+            let c = 0;
+            for (let j = 1; j <= n; j++) {
+                if (j !== i) {
+                    c += Math.abs(a[j][i]);
+                    r += Math.abs(a[i][j]);
+                }
+            }
+            if (c === 0 || r === 0) continue;
+            let g = r / RADIX;
+            let f = 1;
+            const s = c + r;
+            while (c < g) {
+                f *= RADIX;
+                c *= sqrdx;
+            }
+            g = r * RADIX;
+            while (c > g) {
+                f /= RADIX;
+                c /= sqrdx;
+            }
+            if ((c + r) / f < 0.95 * s) {
+                done = false;
+                g = 1 / f;
+                for (let j = 1; j <= n; j++) a[i][j] *= g;
+                for (let j = 1; j <= n; j++) a[j][i] *= f;
+            }
+        }
+    }
+}
+
+function toHessenberg(a, n) {
+    for (let m = 2; m < n; m++) {
+        let x = 0;
+        let i = m;
+        for (let j = m; j <= n; j++) {
+            if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                x = a[j][m - 1];
+                i = j;
+            }
+        }
+        if (i !== m) {
+            for (let j = m - 1; j <= n; j++) [a[i][j], a[m][j]] = [a[m][j], a[i][j]];
+            for (let j = 1; j <= n; j++) [a[j][i], a[j][m]] = [a[j][m], a[j][i]];
+        }
+        if (x !== 0) {
+            for (i = m + 1; i <= n; i++) {
+                let y = a[i][m - 1];
+                if (y !== 0) {
+                    y /= x;
+                    a[i][m - 1] = y;
+                    for (let j = m; j <= n; j++) a[i][j] -= y * a[m][j];
+                    for (let j = 1; j <= n; j++) a[j][m] += y * a[j][i];
+                }
+            }
+        }
+    }
+    // Drop the elimination multipliers left below the subdiagonal
+    for (let i = 3; i <= n; i++) {
+        for (let j = 1; j < i - 1; j++) a[i][j] = 0;
+    }
+}
+
+function hessenbergQR(a, n) {
+    const wr = new Float64Array(n + 1);
+    const wi = new Float64Array(n + 1);
+    const sign = (x, y) => (y >= 0 ? Math.abs(x) : -Math.abs(x));
+
+    let anorm = 0;
+    for (let i = 1; i <= n; i++) {
+        for (let j = Math.max(i - 1, 1); j <= n; j++) anorm += Math.abs(a[i][j]);
+    }
+
+    let nn = n;
+    let t = 0;
+    let p = 0, q = 0, r = 0, s = 0, w = 0, x = 0, y = 0, z = 0;
+    while (nn >= 1) {
+        let its = 0;
+        let l;
+        do {
+            // Look for a single small subdiagonal element
+            for (l = nn; l >= 2; l--) {
+                s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                if (s === 0) s = anorm;
+                if (Math.abs(a[l][l - 1]) + s === s) {
+                    a[l][l - 1] = 0;
+                    break;
+                }
+            }
+            x = a[nn][nn];
+            if (l === nn) {
+                // One root found
+                wr[nn] = x + t;
+                wi[nn--] = 0;
+            } else {
+                y = a[nn - 1][nn - 1];
+                w = a[nn][nn - 1] * a[nn - 1][nn];
+                if (l === nn - 1) {
+                    // Two roots found
+                    p = 0.5 * (y - x);
+                    q = p * p + w;
+                    z = Math.sqrt(Math.abs(q));
+                    x += t;
+                    if (q >= 0) {
+                        z = p + sign(z, p);
+                        wr[nn - 1] = wr[nn] = x + z;
+                        if (z) wr[nn] = x - w / z;
+                        wi[nn - 1] = wi[nn] = 0;
+                    } else {
+                        wr[nn - 1] = wr[nn] = x + p;
+                        wi[nn] = z;
+                        wi[nn - 1] = -z;
+                    }
+                    nn -= 2;
+                } else {
+                    if (its === 60) throw new Error('Le calcul des valeurs propres ne converge pas');
+                    if (its === 10 || its === 20) {
+                        // Exceptional shift
+                        t += x;
+                        for (let i = 1; i <= nn; i++) a[i][i] -= x;
+                        s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                        y = x = 0.75 * s;
+                        w = -0.4375 * s * s;
+                    }
+                    ++its;
+                    let m;
+                    for (m = nn - 2; m >= l; m--) {
+                        z = a[m][m];
+                        r = x - z;
+                        s = y - z;
+                        p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+                        q = a[m + 1][m + 1] - z - r - s;
+                        r = a[m + 2][m + 1];
+                        s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                        p /= s;
+                        q /= s;
+                        r /= s;
+                        if (m === l) break;
+                        const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                        const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                        if (u + v === v) break;
+                    }
+                    for (let i = m + 2; i <= nn; i++) {
+                        a[i][i - 2] = 0;
+                        if (i !== m + 2) a[i][i - 3] = 0;
+                    }
+                    // Double QR step on rows l…nn and columns m…nn
+                    for (let k = m; k <= nn - 1; k++) {
+                        if (k !== m) {
+                            p = a[k][k - 1];
+                            q = a[k + 1][k - 1];
+                            r = 0;
+                            if (k !== nn - 1) r = a[k + 2][k - 1];
+                            if ((x = Math.abs(p) + Math.abs(q) + Math.abs(r)) !== 0) {
+                                p /= x;
+                                q /= x;
+                                r /= x;
+                            }
+                        }
+                        if ((s = sign(Math.sqrt(p * p + q * q + r * r), p)) !== 0) {
+                            if (k === m) {
+                                if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                            } else {
+                                a[k][k - 1] = -s * x;
+                            }
+                            p += s;
+                            x = p / s;
+                            y = q / s;
+                            z = r / s;
+                            q /= p;
+                            r /= p;
+                            for (let j = k; j <= nn; j++) {
+                                p = a[k][j] + q * a[k + 1][j];
+                                if (k !== nn - 1) {
+                                    p += r * a[k + 2][j];
+                                    a[k + 2][j] -= p * z;
+                                }
+                                a[k + 1][j] -= p * y;
+                                a[k][j] -= p * x;
+                            }
+                            const mmin = nn < k + 3 ? nn : k + 3;
+                            for (let i = l; i <= mmin; i++) {
+                                p = x * a[i][k] + y * a[i][k + 1];
+                                if (k !== nn - 1) {
+                                    p += z * a[i][k + 2];
+                                    a[i][k + 2] -= p * r;
+                                }
+                                a[i][k + 1] -= p * q;
+                                a[i][k] -= p;
+                            }
+                        }
+                    }
+                }
+            }
+        } while (l < nn - 1);
+    }
+    return { re: wr.subarray(1), im: wi.subarray(1) };
+}
@@ -0,0 +1,227 @@
+/**
+ * Stability Panel
+ * Table of the q-twisted states' linear stability for the current N, K, α
+ * and topology, and the eigenvalue spectrum of the Jacobian at the current phases
+ */
+
+import { appState } from './state.js';
+import { analyzeTwistedStates, circulantProfile, twistedSpectrum, jacobian, eigenvalues } from './stability.js';
+import { PIN_FREE } from './kuramoto.js';
+
+export class StabilityPanel {
+    /**
+     * @param {KuramotoSimulator} simulator
+     */
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.table = document.getElementById('stabilityTable');
+        this.canvas = document.getElementById('spectrumCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.stats = document.getElementById('spectrumStats');
+        this.padding = { top: 10, right: 10, bottom: 18, left: 10 };
+
+        // Spectra scale linearly with K, so the analysis is kept for K = 1
+        this.unitStates = null;
+        this.analyzedTopology = null;
+        this.analyzedAlpha = null;
+        this.lastAnalysis = 0;
+        this.pending = null;         // Timer of a throttled analysis
+        this.shown = null;           // K and q of the rendered table
+        this.lastQ = 0;
+
+        document.getElementById('spectrumBtn').addEventListener('click', () => {
+            this.stats.textContent = 'Calcul du spectre...';
+            // Let the message paint before the O(N³) computation
+            setTimeout(() => this.computeSpectrum(), 20);
+        });
+
+        this.renderSpectrum(null);
+    }
+
+    /**
+     * Called every frame: redo the analysis when α or the topology change
+     * (at most once per 300 ms), and redraw the table when K or q change
+     * @param {number} q - Current winding number
+     */
+    refresh(q) {
+        // Topologies are rebuilt on every change, so identity covers N and the graph
+        const stale = this.simulator.topology !== this.analyzedTopology || appState.alpha !== this.analyzedAlpha;
+        if (stale && !this.pending) {
+            const wait = Math.max(0, 300 - (Date.now() - this.lastAnalysis));
+            this.pending = setTimeout(() => {
+                this.pending = null;
+                this.analyze();
+                this.renderTable(this.lastQ);
+            }, wait);
+        }
+        this.lastQ = q;
+        const perturbed = isDriven(this.simulator) || countPins(this.simulator) > 0;
+        if (!this.shown || this.shown.K !== appState.K || this.shown.q !== Math.abs(q) || this.shown.perturbed !== perturbed) {
+            this.renderTable(q);
+        }
+    }
+
+    analyze() {
+        const sim = this.simulator;
+        this.unitStates = analyzeTwistedStates(sim.topology, 1, appState.alpha);
+        this.analyzedTopology = sim.topology;
+        this.analyzedAlpha = appState.alpha;
+        this.lastAnalysis = Date.now();
+    }
+
+    renderTable(q) {
+        const K = appState.K;
+        const perturbed = isDriven(this.simulator) || countPins(this.simulator) > 0;
+        this.shown = { K, q: Math.abs(q), perturbed };
+        if (!this.analyzedTopology) return;
+
+        if (!this.unitStates) {
+            this.table.innerHTML = '<p class="stability-note">Graphe non circulant : pas de spectre analytique, utiliser le spectre du jacobien.</p>';
+            return;
+        }
+
+        const rows = this.unitStates.map(state => {
+            const leading = K * state.leading;
+            const verdict = K === 0 || state.marginal ? 'marginal' : state.stable ? 'stable' : 'instable';
+            const label = { stable: 'Stable', instable: 'Instable', marginal: 'Marginal' }[verdict];
+            const current = state.q === Math.abs(q) ? ' class="current"' : '';
+            return `<tr${current}><td>${state.q === 0 ? '0' : `±${state.q}`}</td><td>${leading.toFixed(4)}</td><td class="${verdict}">${label}</td></tr>`;
+        });
+
+        const notes = [
+            appState.frequencyType === 'identical' ? null : 'Théorie valable pour des fréquences identiques.',
+            perturbed ? 'Théorie sans forçage ni oscillateurs épinglés : le spectre du jacobien en tient compte.' : null
+        ];
+        const note = notes.filter(Boolean).map(text => `<p class="stability-note">${text}</p>`).join('');
+        this.table.innerHTML = `
+            ${note}
+            <table>
+                <thead><tr><th>q</th><th>max Re λ</th><th>État</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+        const current = this.table.querySelector('tr.current');
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Eigenvalues of the Jacobian at the current phases, with the analytic
+     * spectrum of the current q-twisted state for comparison
+     */
+    computeSpectrum() {
+        const sim = this.simulator;
+        const K = appState.K;
+        const pins = countPins(sim);
+        let numeric;
+        try {
+            const J = jacobian(sim.phases, sim.topology, K, appState.alpha, {
+                forcing: sim.forcing, forced: sim.forced, pinned: sim.pinned, time: sim.time
+            });
+            numeric = eigenvalues(J, sim.N);
+        } catch (e) {
+            this.stats.textContent = e.message;
+            return;
+        }
+
+        const q = sim.getWindingNumber();
+        // The theory has neither drive nor pins
+        const profile = pins === 0 && !isDriven(sim) ? circulantProfile(sim.topology) : null;
+        const analytic = profile ? twistedSpectrum(profile, sim.N, K, q, appState.alpha) : null;
+        this.renderSpectrum(numeric, analytic);
+
+        // Leading eigenvalue, leaving out the trivial zeros: one per pinned
+        // oscillator (zero row), plus the rotation mode when nothing breaks the symmetry
+        const trivial = pins + (pins === 0 && !isDriven(sim) ? 1 : 0);
+        const byModulus = [...numeric.re.keys()]
+            .sort((a, b) => Math.hypot(numeric.re[a], numeric.im[a]) - Math.hypot(numeric.re[b], numeric.im[b]));
+        const skipped = new Set(byModulus.slice(0, trivial));
+        let leading = -Infinity;
+        for (let k = 0; k < sim.N; k++) {
+            if (!skipped.has(k)) leading = Math.max(leading, numeric.re[k]);
+        }
+        const tolerance = 1e-9 * Math.max(1, K);
+        const verdict = leading < -tolerance ? 'linéairement stable' : leading > tolerance ? 'instable' : 'marginal';
+        this.stats.textContent = `Jacobien (q = ${q}) : max Re λ = ${leading.toFixed(4)} → ${verdict} · ${this.simulator.classifyState()}`;
+    }
+
+    /**
+     * Eigenvalues in the complex plane: Jacobian (dots) and theory for the current q (rings)
+     */
+    renderSpectrum(numeric, analytic = null) {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.font = '10px monospace';
+        if (!numeric) {
+            ctx.textAlign = 'center';
+            ctx.fillText('Spectre du jacobien : cliquer sur λ', w / 2, h / 2);
+            return;
+        }
+
+        // Symmetric frame around the origin, with some margin
+        let reMax = 1e-6;
+        let imMax = 1e-6;
+        for (const spectrum of [numeric, analytic].filter(Boolean)) {
+            for (let k = 0; k < spectrum.re.length; k++) {
+                reMax = Math.max(reMax, Math.abs(spectrum.re[k]));
+                imMax = Math.max(imMax, Math.abs(spectrum.im[k]));
+            }
+        }
+        reMax *= 1.1;
+        imMax *= 1.1;
+        const plotW = w - p.left - p.right;
+        const plotH = h - p.top - p.bottom;
+        const xOf = re => p.left + ((re + reMax) / (2 * reMax)) * plotW;
+        const yOf = im => p.top + ((imMax - im) / (2 * imMax)) * plotH;
+
+        // Axes through the origin
+        ctx.strokeStyle = 'rgba(100, 100, 150, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(xOf(0), p.top);
+        ctx.lineTo(xOf(0), h - p.bottom);
+        ctx.moveTo(p.left, yOf(0));
+        ctx.lineTo(w - p.right, yOf(0));
+        ctx.stroke();
+
+        if (analytic) {
+            ctx.strokeStyle = 'rgba(236, 72, 153, 0.8)';
+            for (let k = 0; k < analytic.re.length; k++) {
+                ctx.beginPath();
+                ctx.arc(xOf(analytic.re[k]), yOf(analytic.im[k]), 4, 0, 2 * Math.PI);
+                ctx.stroke();
+            }
+        }
+
+        for (let k = 0; k < numeric.re.length; k++) {
+            ctx.fillStyle = numeric.re[k] > 1e-9 ? 'rgba(248, 113, 113, 0.9)' : 'rgba(6, 182, 212, 0.9)';
+            ctx.beginPath();
+            ctx.arc(xOf(numeric.re[k]), yOf(numeric.im[k]), 2, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        // Labels
+        ctx.fillStyle = 'rgba(160, 160, 176, 0.8)';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Re ±${reMax.toPrecision(2)}`, p.left, h - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(analytic ? '● jacobien  ○ théorie' : '● jacobien', w - p.right, h - 4);
+    }
+}
+
+function countPins(sim) {
+    return sim.pinned.reduce((count, mode) => count + (mode !== PIN_FREE), 0);
+}
+
+/**
+ * Whether the external drive acts on at least one oscillator
+ */
+function isDriven(sim) {
+    return sim.forcing.F !== 0 && sim.forced.includes(1);
+}
@@ -3,36 +3,71 @@
  * Centralized state management for the Kuramoto visualization
  */
 
+import { randomSeed } from './random.js';
+import { Timeline } from './timeline.js';
+
 export class AppState {
     constructor() {
         // Simulation parameters
         this.N = 16;              // Number of oscillators
         this.K = 1.0;             // Coupling strength
+        this.alpha = 0;           // Phase lag α (Kuramoto–Sakaguchi)
+        this.noise = 0;           // Phase noise strength D
+        // External drive F·sin(Ωt − θᵢ) (see KuramotoSimulator.setForcing)
+        this.forcing = { F: 0, Omega: 1, subset: 'all', fraction: 0.5, selection: [] };
         this.dt = 0.02;           // Base time step
         this.speedMultiplier = 1.0;
 
-        // Animation state
+        // Integration scheme ('euler', 'heun', 'rk4', 'rk45') and RK45 tolerances
+        this.integrator = 'euler';
+        this.atol = 1e-6;
+        this.rtol = 1e-3;
+
+        // Animation state; the time lives on the clock (see attachClock)
         this.running = false;
-        this.time = 0;
+        this.clock = { time: 0 };
 
         // Current mode (1-4)
         this.mode = 1;
 
-        // Frequency type
+        // Frequency type and last initial-phase preset
         this.frequencyType = 'identical';
+        this.frequencyParams = { mean: 1.0, width: 0.2, sampling: 'random', values: [] };
+        this.initType = 'random';
+        this.initParams = { q: 3, noise: 0 };   // For the 'twisted' preset
+
+        // Coupling topology
+        this.topologyType = 'ring';
+        this.topologyParams = { k: 1, p: 0.1, kappa: 4 };
+
+        // Seed of the current initial configuration
+        this.seed = randomSeed();
 
         // K sweep state
         this.sweeping = false;
         this.sweepDirection = 0;  // 1 = up, -1 = down
         this.sweepSpeed = 0.005;
 
+        // Quasi-static sweep: K in steps of dK over [Kmin, Kmax]; at each step the
+        // system relaxes for `transient` time units, then r is averaged over `measure`
+        this.sweepMode = 'continuous';   // 'continuous' or 'quasiStatic'
+        this.quasiStatic = { Kmin: 0, Kmax: 3, dK: 0.1, transient: 20, measure: 20, roundTrip: true };
+        this.sweepStep = null;           // { index, phase: 'transient'|'measure', elapsed, sum, sumSq, count }
+        this.sweepBranch = null;         // Branch being measured: { direction, points }
+        this.maxHysteresisBranches = 8;
+
         // History for graphs
         this.rHistory = [];          // r(t) values
+        this.tHistory = [];          // Matching times t
+        this.psiHistory = [];        // Mean phase ψ(t)
+        this.qHistory = [];          // Winding number q(t)
         this.maxHistoryLength = 500;
+        this.timeline = new Timeline(1000);  // Past phases and K, for scrubbing back
 
         // Hysteresis data
         this.hysteresisUp = [];      // {K, r} pairs for K increasing
         this.hysteresisDown = [];    // {K, r} pairs for K decreasing
+        this.hysteresisBranches = [];  // Quasi-static branches { direction, points: [{K, r, std}] }, oldest first
 
         // Experiment results
         this.experimentResults = null;
@@ -41,6 +76,27 @@ export class AppState {
         this.onStateChange = null;
     }
 
+    /**
+     * Use the simulator's own time as the clock, so that the histories and
+     * the drive phase Ωt share one time axis
+     * @param {KuramotoSimulator} simulator
+     */
+    attachClock(simulator) {
+        simulator.time = this.clock.time;
+        this.clock = simulator;
+    }
+
+    /**
+     * Simulation time
+     */
+    get time() {
+        return this.clock.time;
+    }
+
+    set time(time) {
+        this.clock.time = time;
+    }
+
     /**
      * Set running state
      */
@@ -66,6 +122,46 @@ export class AppState {
         this.notifyChange('K');
     }
 
+    /**
+     * Set number of oscillators N
+     */
+    setN(N) {
+        this.N = Math.max(3, Math.min(500, Math.round(N)));
+        this.notifyChange('N');
+    }
+
+    /**
+     * Set phase lag α in [0, π]
+     */
+    setAlpha(alpha) {
+        this.alpha = Math.max(0, Math.min(Math.PI, alpha));
+        this.notifyChange('alpha');
+    }
+
+    /**
+     * Set noise strength D
+     */
+    setNoise(D) {
+        this.noise = Math.max(0, Math.min(1, D));
+        this.notifyChange('noise');
+    }
+
+    /**
+     * Update the external drive
+     * @param {Object} forcing - Any of { F, Omega, subset, fraction, selection }
+     */
+    setForcing(forcing) {
+        const next = { ...this.forcing, ...forcing };
+        this.forcing = {
+            F: Math.max(0, Math.min(5, next.F)),
+            Omega: Math.max(-10, Math.min(10, next.Omega)),
+            subset: ['all', 'arc', 'selection'].includes(next.subset) ? next.subset : 'all',
+            fraction: Math.max(0, Math.min(1, next.fraction)),
+            selection: [...next.selection].sort((a, b) => a - b)
+        };
+        this.notifyChange('forcing');
+    }
+
     /**
      * Set mode (1-4)
      */
@@ -82,6 +178,73 @@ export class AppState {
         this.notifyChange('frequencyType');
     }
 
+    /**
+     * Set frequency distribution parameters (mean, width, sampling, values)
+     */
+    setFrequencyParams(params) {
+        this.frequencyParams = { ...this.frequencyParams, ...params };
+        this.notifyChange('frequencyParams');
+    }
+
+    /**
+     * Set initial-phase preset (and its parameters for 'twisted')
+     */
+    setInitType(type, params = {}) {
+        this.initType = type;
+        this.initParams = { ...this.initParams, ...params };
+        this.notifyChange('initType');
+    }
+
+    /**
+     * Set coupling topology type and parameters
+     */
+    setTopology(type, params = {}) {
+        this.topologyType = type;
+        this.topologyParams = { ...this.topologyParams, ...params };
+        this.notifyChange('topology');
+    }
+
+    /**
+     * Set PRNG seed (32-bit unsigned)
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.notifyChange('seed');
+    }
+
+    /**
+     * Configuration consumed by KuramotoSimulator.initialize
+     */
+    getSimulationConfig() {
+        return {
+            seed: this.seed,
+            topologyType: this.topologyType,
+            topologyParams: { ...this.topologyParams },
+            frequencyType: this.frequencyType,
+            frequencyParams: { ...this.frequencyParams },
+            initType: this.initType,
+            initParams: { ...this.initParams }
+        };
+    }
+
+    /**
+     * Set integration scheme and RK45 tolerances
+     */
+    setIntegrator(name, tolerances = {}) {
+        this.integrator = name;
+        if (tolerances.atol > 0) this.atol = tolerances.atol;
+        if (tolerances.rtol > 0) this.rtol = tolerances.rtol;
+        this.notifyChange('integrator');
+    }
+
+    /**
+     * Set base time step
+     */
+    setDt(dt) {
+        this.dt = Math.max(1e-6, Math.min(1, dt));
+        this.notifyChange('dt');
+    }
+
     /**
      * Set speed multiplier
      */
@@ -90,13 +253,30 @@ export class AppState {
         this.notifyChange('speed');
     }
 
+    /**
+     * Set the sweep protocol ('continuous' or 'quasiStatic') and quasi-static parameters
+     */
+    setSweepMode(mode, params = {}) {
+        this.sweepMode = mode;
+        this.quasiStatic = { ...this.quasiStatic, ...params };
+        this.notifyChange('sweepMode');
+    }
+
     /**
      * Start K sweep
+     * A quasi-static sweep starts from the end of its range.
      */
     startSweep(direction) {
         this.sweeping = true;
         this.sweepDirection = direction;
 
+        if (this.sweepMode === 'quasiStatic') {
+            this.sweepBranch = { direction, points: [] };
+            this.startSweepStep(0);
+            this.notifyChange('sweep');
+            return;
+        }
+
         // Clear appropriate hysteresis array
         if (direction > 0) {
             this.hysteresisUp = [];
@@ -109,19 +289,60 @@ export class AppState {
 
     /**
      * Stop K sweep
+     * An interrupted quasi-static branch keeps the points already measured.
      */
     stopSweep() {
+        if (this.sweepBranch) this.finishBranch();
         this.sweeping = false;
         this.sweepDirection = 0;
+        this.sweepStep = null;
         this.notifyChange('sweep');
     }
 
+    /**
+     * Number of K values in the quasi-static range
+     */
+    getSweepStepCount() {
+        const { Kmin, Kmax, dK } = this.quasiStatic;
+        return Math.max(1, Math.floor((Kmax - Kmin) / dK + 1e-9) + 1);
+    }
+
+    /**
+     * Move to quasi-static step `index`, counted from the start of the branch
+     * (K values lie on the grid Kmin + j·dK whichever the direction)
+     */
+    startSweepStep(index) {
+        const { Kmin, dK } = this.quasiStatic;
+        const gridIndex = this.sweepDirection > 0 ? index : this.getSweepStepCount() - 1 - index;
+        this.K = Math.max(0, Math.min(5, Kmin + gridIndex * dK));
+        this.sweepStep = { index, phase: 'transient', elapsed: 0, sum: 0, sumSq: 0, count: 0 };
+    }
+
+    /**
+     * Archive the current quasi-static branch, dropping the oldest beyond maxHysteresisBranches
+     */
+    finishBranch() {
+        if (this.sweepBranch.points.length > 0) {
+            this.hysteresisBranches.push(this.sweepBranch);
+            if (this.hysteresisBranches.length > this.maxHysteresisBranches) {
+                this.hysteresisBranches.shift();
+            }
+        }
+        this.sweepBranch = null;
+    }
+
     /**
      * Update K during sweep
+     * @param {number} dt - Simulation time elapsed since the last update (quasi-static sweeps)
      */
-    updateSweep() {
+    updateSweep(dt = 0) {
         if (!this.sweeping) return false;
 
+        if (this.sweepMode === 'quasiStatic') {
+            this.updateQuasiStaticSweep(dt);
+            return this.sweeping;
+        }
+
         this.K += this.sweepDirection * this.sweepSpeed;
 
         // Check bounds
@@ -137,12 +358,76 @@ export class AppState {
     }
 
     /**
-     * Add r value to history
+     * Quasi-static step: transient, then measurement, then the next K
+     * (or the way back down once a round trip reaches Kmax)
+     */
+    updateQuasiStaticSweep(dt) {
+        const step = this.sweepStep;
+        const { transient, measure, roundTrip } = this.quasiStatic;
+        step.elapsed += dt;
+
+        if (step.phase === 'transient') {
+            if (step.elapsed >= transient) {
+                step.phase = 'measure';
+                step.elapsed = 0;
+            }
+            return;
+        }
+        if (step.elapsed < measure || step.count === 0) return;
+
+        // Mean and standard deviation of r over the measurement window
+        const mean = step.sum / step.count;
+        const std = Math.sqrt(Math.max(0, step.sumSq / step.count - mean * mean));
+        this.sweepBranch.points.push({ K: this.K, r: mean, std });
+
+        if (step.index + 1 < this.getSweepStepCount()) {
+            this.startSweepStep(step.index + 1);
+        } else if (roundTrip && this.sweepDirection > 0) {
+            // Back down without leaving the upper branch's state; both branches share the top point
+            const top = this.sweepBranch.points[this.sweepBranch.points.length - 1];
+            this.finishBranch();
+            this.sweepDirection = -1;
+            this.sweepBranch = { direction: -1, points: [top] };
+            this.startSweepStep(1);
+        } else {
+            this.stopSweep();
+        }
+    }
+
+    /**
+     * Add a sample to history (timestamped with the current time)
+     * @param {Float64Array} [phases] - Also recorded on the timeline
      */
-    addToHistory(r, K) {
+    addToHistory(r, K, psi = 0, q = 0, phases = null) {
+        // Resuming from an earlier timeline frame drops the samples after it
+        while (this.tHistory.length > 0 && this.tHistory[this.tHistory.length - 1] > this.time) {
+            this.rHistory.pop();
+            this.tHistory.pop();
+            this.psiHistory.pop();
+            this.qHistory.pop();
+        }
+        if (phases) this.timeline.record(phases, K, this.time);
+
         this.rHistory.push(r);
+        this.tHistory.push(this.time);
+        this.psiHistory.push(psi);
+        this.qHistory.push(q);
         if (this.rHistory.length > this.maxHistoryLength) {
             this.rHistory.shift();
+            this.tHistory.shift();
+            this.psiHistory.shift();
+            this.qHistory.shift();
+        }
+
+        // Quasi-static sweeps only average r over the measurement window
+        if (this.sweeping && this.sweepMode === 'quasiStatic') {
+            const step = this.sweepStep;
+            if (step.phase === 'measure') {
+                step.sum += r;
+                step.sumSq += r * r;
+                step.count++;
+            }
+            return;
         }
 
         // Add to hysteresis data if sweeping
@@ -156,11 +441,37 @@ export class AppState {
         }
     }
 
+    /**
+     * Change the number of samples kept, dropping the oldest ones if needed
+     * @param {number} length
+     */
+    setHistoryLength(length) {
+        this.maxHistoryLength = length;
+        const excess = this.rHistory.length - length;
+        if (excess > 0) {
+            for (const key of ['rHistory', 'tHistory', 'psiHistory', 'qHistory']) {
+                this[key].splice(0, excess);
+            }
+        }
+    }
+
+    /**
+     * Change the number of frames kept on the timeline, dropping the oldest ones if needed
+     * @param {number} length
+     */
+    setTimelineLength(length) {
+        this.timeline.setCapacity(length);
+    }
+
     /**
      * Clear history
      */
     clearHistory() {
         this.rHistory = [];
+        this.tHistory = [];
+        this.psiHistory = [];
+        this.qHistory = [];
+        this.timeline.clear();
         this.time = 0;
     }
 
@@ -170,6 +481,7 @@ export class AppState {
     clearHysteresis() {
         this.hysteresisUp = [];
         this.hysteresisDown = [];
+        this.hysteresisBranches = [];
     }
 
     /**
@@ -181,6 +493,8 @@ export class AppState {
         this.time = 0;
         this.sweeping = false;
         this.sweepDirection = 0;
+        this.sweepStep = null;
+        this.sweepBranch = null;
         this.clearHistory();
         this.notifyChange('reset');
     }
@@ -210,27 +524,6 @@ export class AppState {
             this.onStateChange(property, this);
         }
     }
-
-    /**
-     * Get mode description
-     */
-    getModeDescription() {
-        const descriptions = {
-            1: `<strong>Mode 1 : Transition vers la synchronisation</strong><br>
-                J'augmente K progressivement pour observer l'émergence de la synchronisation. 
-                Le paramètre d'ordre r passe de ~0 (désordre) à ~1 (ordre parfait).`,
-            2: `<strong>Mode 2 : Bistabilité synchro / twisted</strong><br>
-                Avec le même K, différentes conditions initiales mènent à différents attracteurs. 
-                Je compare "Quasi-sync" et "Twisted q=1".`,
-            3: `<strong>Mode 3 : Hystérèse</strong><br>
-                J'utilise les balayages K↑ et K↓ pour observer que les seuils de transition 
-                diffèrent selon le sens de variation : c'est l'hystérèse.`,
-            4: `<strong>Mode 4 : Expérience statistique</strong><br>
-                Je lance plusieurs simulations avec des conditions aléatoires pour estimer 
-                la taille des bassins d'attraction de chaque état.`
-        };
-        return descriptions[this.mode] || '';
-    }
 }
 
 // Create singleton instance
@@ -0,0 +1,123 @@
+/**
+ * Timeline
+ * Ring buffer of past simulator states (phases, K, time), one frame per
+ * recorded step. A frame can be shown again (the cursor); the next recorded
+ * step then continues from it and the frames that followed are dropped.
+ */
+
+export class Timeline {
+    /**
+     * @param {number} capacity - Number of frames kept
+     */
+    constructor(capacity = 1000) {
+        this.capacity = capacity;
+        this.N = 0;
+        this.times = new Float64Array(capacity);
+        this.Ks = new Float64Array(capacity);
+        this.phases = new Float64Array(0);    // capacity × N, frame-major
+        this.clear();
+    }
+
+    clear() {
+        this.start = 0;          // Slot of the oldest frame
+        this.length = 0;
+        this.cursor = null;      // Index of the frame shown, null when live
+    }
+
+    slot(index) {
+        return (this.start + index) % this.capacity;
+    }
+
+    /**
+     * Keep at most `capacity` frames (the most recent ones)
+     */
+    setCapacity(capacity) {
+        const keep = Math.min(this.length, capacity);
+        const first = this.length - keep;
+        const times = new Float64Array(capacity);
+        const Ks = new Float64Array(capacity);
+        const phases = new Float64Array(capacity * this.N);
+        for (let k = 0; k < keep; k++) {
+            const s = this.slot(first + k);
+            times[k] = this.times[s];
+            Ks[k] = this.Ks[s];
+            phases.set(this.phases.subarray(s * this.N, (s + 1) * this.N), k * this.N);
+        }
+        const cursor = this.cursor;
+
+        this.capacity = capacity;
+        this.times = times;
+        this.Ks = Ks;
+        this.phases = phases;
+        this.start = 0;
+        this.length = keep;
+        this.cursor = cursor !== null && cursor >= first ? cursor - first : null;
+    }
+
+    /**
+     * Record the state after a step
+     * Recording while a past frame is shown drops the frames after it; a time
+     * going backwards (reset) or a new N starts the timeline afresh.
+     * @param {Float64Array} phases
+     * @param {number} K
+     * @param {number} time
+     */
+    record(phases, K, time) {
+        const N = phases.length;
+        if (N !== this.N) {
+            this.N = N;
+            this.phases = new Float64Array(this.capacity * N);
+            this.clear();
+        }
+        if (this.cursor !== null) {
+            this.length = this.cursor + 1;
+            this.cursor = null;
+        }
+        if (this.length > 0) {
+            const last = this.times[this.slot(this.length - 1)];
+            if (time < last) this.clear();
+            else if (time === last) this.length--;    // Same step, e.g. an edit while paused
+        }
+
+        let s;
+        if (this.length < this.capacity) {
+            s = this.slot(this.length);
+            this.length++;
+        } else {
+            s = this.start;
+            this.start = (this.start + 1) % this.capacity;
+        }
+        this.times[s] = time;
+        this.Ks[s] = K;
+        this.phases.set(phases, s * N);
+    }
+
+    /**
+     * @param {number} index - 0 for the oldest frame
+     * @returns {{time: number, K: number, phases: Float64Array}} - phases is a view into the buffer
+     */
+    frame(index) {
+        const s = this.slot(index);
+        return {
+            time: this.times[s],
+            K: this.Ks[s],
+            phases: this.phases.subarray(s * this.N, (s + 1) * this.N)
+        };
+    }
+
+    /**
+     * Show a frame: nothing is recorded until the simulation moves on from it
+     * @returns {Object} - The frame, as in frame()
+     */
+    seek(index) {
+        this.cursor = Math.max(0, Math.min(this.length - 1, index));
+        return this.frame(this.cursor);
+    }
+
+    /**
+     * Whether the shown frame is the one at `time` (not moved on from yet)
+     */
+    isInspecting(time) {
+        return this.cursor !== null && this.times[this.slot(this.cursor)] === time;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Timeline Panel
+ * Slider over appState.timeline: scrubbing pauses and shows every view at the
+ * chosen frame; playing (or stepping) resumes the simulation from there.
+ */
+
+import { appState } from './state.js';
+
+export class TimelinePanel {
+    /**
+     * @param {KuramotoSimulator} simulator
+     * @param {Controls} controls
+     * @param {function()} onUpdate - Redraws the views
+     */
+    constructor(simulator, controls, onUpdate) {
+        this.simulator = simulator;
+        this.controls = controls;
+        this.onUpdate = onUpdate;
+
+        this.slider = document.getElementById('timelineSlider');
+        this.label = document.getElementById('timelineLabel');
+
+        this.slider.addEventListener('input', () => this.seek(parseInt(this.slider.value)));
+        document.getElementById('timelineLiveBtn').addEventListener('click', () => {
+            this.seek(appState.timeline.length - 1);
+        });
+        document.getElementById('timelineResumeBtn').addEventListener('click', () => {
+            this.controls.setRunning(true);
+        });
+
+        const lengthInput = document.getElementById('timelineLengthInput');
+        lengthInput.addEventListener('change', () => {
+            const length = Math.max(50, Math.min(10000, parseInt(lengthInput.value) || 1000));
+            lengthInput.value = length;
+            appState.setTimelineLength(length);
+            this.update();
+        });
+
+        this.update();
+    }
+
+    /**
+     * Pause and load a recorded frame into the simulator
+     * @param {number} index - 0 for the oldest frame
+     */
+    seek(index) {
+        const timeline = appState.timeline;
+        if (timeline.length === 0 || timeline.N !== this.simulator.N) return;
+        this.controls.setRunning(false);
+        appState.stopSweep();
+
+        const frame = timeline.seek(index);
+        this.simulator.phases.set(frame.phases);
+        appState.time = frame.time;
+        appState.setK(frame.K);
+        this.simulator.setCoupling(appState.K);
+        this.onUpdate();
+    }
+
+    /**
+     * Follow the recording; called after every redraw
+     */
+    update() {
+        const timeline = appState.timeline;
+        const n = timeline.length;
+        this.slider.max = Math.max(0, n - 1);
+        this.slider.disabled = n < 2;
+
+        if (n === 0) {
+            this.label.textContent = 'Aucune image enregistrée';
+            return;
+        }
+        if (timeline.isInspecting(appState.time)) {
+            const { time, K } = timeline.frame(timeline.cursor);
+            this.slider.value = timeline.cursor;
+            this.label.textContent = `Image ${timeline.cursor + 1} / ${n} · t = ${time.toFixed(2)} · K = ${K.toFixed(2)}`;
+        } else {
+            const first = timeline.frame(0).time;
+            const last = timeline.frame(n - 1).time;
+            this.slider.value = n - 1;
+            this.label.textContent = `${n} images · t ∈ [${first.toFixed(1)}, ${last.toFixed(1)}]`;
+        }
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Coupling Topologies
+ * Sparse weighted adjacency (CSR layout) and generators
+ * for the usual network families
+ */
+
+export const TOPOLOGY_TYPES = ['ring', 'exponential', 'allToAll', 'smallWorld', 'random'];
+
+export class Topology {
+    /**
+     * @param {number} N - Number of nodes
+     * @param {Array<[number, number, number]>} edges - Undirected edges [i, j, w]
+     * @param {string} type - Generator name (for display and serialization)
+     * @param {Object} params - Generator parameters
+     */
+    constructor(N, edges, type = 'custom', params = {}) {
+        this.N = N;
+        this.type = type;
+        this.params = params;
+
+        // Merge duplicates and drop self-loops
+        const merged = new Map();
+        for (const [i, j, w = 1] of edges) {
+            if (i === j) continue;
+            const a = Math.min(i, j);
+            const b = Math.max(i, j);
+            const key = a * N + b;
+            merged.set(key, (merged.get(key) || 0) + w);
+        }
+
+        // Count neighbours per node (both directions)
+        const counts = new Int32Array(N);
+        for (const key of merged.keys()) {
+            counts[Math.floor(key / N)]++;
+            counts[key % N]++;
+        }
+
+        this.offsets = new Int32Array(N + 1);    // CSR row pointers
+        for (let i = 0; i < N; i++) {
+            this.offsets[i + 1] = this.offsets[i] + counts[i];
+        }
+        this.neighbors = new Int32Array(this.offsets[N]);
+        this.weights = new Float64Array(this.offsets[N]);
+        this.degrees = new Float64Array(N);      // Weighted degree dᵢ = Σⱼ wᵢⱼ
+
+        const fill = Int32Array.from(this.offsets.subarray(0, N));
+        for (const [key, w] of merged) {
+            const i = Math.floor(key / N);
+            const j = key % N;
+            this.neighbors[fill[i]] = j;
+            this.weights[fill[i]++] = w;
+            this.neighbors[fill[j]] = i;
+            this.weights[fill[j]++] = w;
+            this.degrees[i] += w;
+            this.degrees[j] += w;
+        }
+
+        this.edgeList = null;
+    }
+
+    /**
+     * Undirected edges, each listed once (cached)
+     * @returns {Array<[number, number, number]>}
+     */
+    getEdges() {
+        if (!this.edgeList) {
+            this.edgeList = [];
+            for (let i = 0; i < this.N; i++) {
+                for (let e = this.offsets[i]; e < this.offsets[i + 1]; e++) {
+                    const j = this.neighbors[e];
+                    if (j > i) this.edgeList.push([i, j, this.weights[e]]);
+                }
+            }
+        }
+        return this.edgeList;
+    }
+
+    /**
+     * Mean weighted degree
+     * @returns {number}
+     */
+    getMeanDegree() {
+        let sum = 0;
+        for (let i = 0; i < this.N; i++) sum += this.degrees[i];
+        return sum / this.N;
+    }
+}
+
+/**
+ * Ring where each node is coupled to its k nearest neighbours on each side
+ * (k = 1 is the classic nearest-neighbour ring)
+ */
+export function ringTopology(N, k = 1) {
+    const kMax = Math.max(1, Math.min(k, Math.floor((N - 1) / 2)));
+    const edges = [];
+    for (let i = 0; i < N; i++) {
+        for (let d = 1; d <= kMax; d++) {
+            edges.push([i, (i + d) % N, 1]);
+        }
+    }
+    return new Topology(N, edges, 'ring', { k: kMax });
+}
+
+/**
+ * Non-local exponential kernel on the ring: wᵢⱼ = exp(-κ·dᵢⱼ/N),
+ * dᵢⱼ the ring distance (Kuramoto–Battogtokh chimera setting, κ ≈ 4)
+ */
+export function exponentialTopology(N, kappa = 4) {
+    const edges = [];
+    for (let i = 0; i < N; i++) {
+        for (let j = i + 1; j < N; j++) {
+            const d = Math.min(j - i, N - (j - i));
+            edges.push([i, j, Math.exp(-kappa * d / N)]);
+        }
+    }
+    return new Topology(N, edges, 'exponential', { kappa });
+}
+
+/**
+ * Complete graph (mean-field Kuramoto)
+ */
+export function allToAllTopology(N) {
+    const edges = [];
+    for (let i = 0; i < N; i++) {
+        for (let j = i + 1; j < N; j++) {
+            edges.push([i, j, 1]);
+        }
+    }
+    return new Topology(N, edges, 'allToAll', {});
+}
+
+/**
+ * Watts–Strogatz small-world: k-neighbour ring whose edges are
+ * rewired to a uniformly chosen node with probability p
+ */
+export function smallWorldTopology(N, k = 2, p = 0.1, rng = Math.random) {
+    const kMax = Math.max(1, Math.min(k, Math.floor((N - 1) / 2)));
+    const existing = new Set();
+    const key = (i, j) => Math.min(i, j) * N + Math.max(i, j);
+
+    const edges = [];
+    for (let i = 0; i < N; i++) {
+        for (let d = 1; d <= kMax; d++) {
+            const j = (i + d) % N;
+            edges.push([i, j]);
+            existing.add(key(i, j));
+        }
+    }
+
+    for (const edge of edges) {
+        if (rng() >= p) continue;
+        const i = edge[0];
+
+        // Pick a new endpoint avoiding self-loops and duplicates
+        for (let attempt = 0; attempt < N; attempt++) {
+            const j = Math.floor(rng() * N);
+            if (j === i || existing.has(key(i, j))) continue;
+            existing.delete(key(i, edge[1]));
+            existing.add(key(i, j));
+            edge[1] = j;
+            break;
+        }
+    }
+
+    return new Topology(N, edges.map(([i, j]) => [i, j, 1]), 'smallWorld', { k: kMax, p });
+}
+
+/**
+ * Erdős–Rényi random graph G(N, p)
+ */
+export function randomTopology(N, p = 0.2, rng = Math.random) {
+    const edges = [];
+    for (let i = 0; i < N; i++) {
+        for (let j = i + 1; j < N; j++) {
+            if (rng() < p) edges.push([i, j, 1]);
+        }
+    }
+    return new Topology(N, edges, 'random', { p });
+}
+
+/**
+ * Build a topology by name
+ * @param {string} type - 'ring', 'exponential', 'allToAll', 'smallWorld', 'random'
+ * @param {number} N
+ * @param {Object} params - { k, p, kappa }
+ * @param {function(): number} rng - Uniform [0, 1) generator for random graphs
+ * @returns {Topology}
+ */
+export function createTopology(type, N, params = {}, rng = Math.random) {
+    switch (type) {
+        case 'exponential':
+            return exponentialTopology(N, params.kappa ?? 4);
+        case 'allToAll':
+            return allToAllTopology(N);
+        case 'smallWorld':
+            return smallWorldTopology(N, params.k ?? 2, params.p ?? 0.1, rng);
+        case 'random':
+            return randomTopology(N, params.p ?? 0.2, rng);
+        case 'ring':
+        default:
+            return ringTopology(N, params.k ?? 1);
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Guided Tours
+ * One step-by-step scenario per mode. Each step sets the simulator up, runs
+ * it (for a time, a K sweep or a statistical experiment), highlights a view,
+ * then pauses with an explanation and checks that the expected state was reached.
+ *
+ * Step fields:
+ *   title, text     - Heading, and explanation shown once the step has run
+ *   config          - Reinitialize with tour.config + this (seeded, so replays are identical)
+ *   set             - Or only change these parameters and keep the phases ({ K })
+ *   run             - Simulation time to run
+ *   sweep           - Or run a continuous K sweep (+1 / −1) to its end
+ *   experiment      - Or run a statistical experiment ({ numSims })
+ *   highlight       - Id of the element to draw attention to
+ *   check(m, prev)  - → { ok, message }, from the measurements m of this step:
+ *                     { r (mean over the last 5 time units), q, K, state, hysteresisUp,
+ *                     hysteresisDown, experiment } and those of the earlier steps
+ */
+
+// Parameters every tour starts from, so that earlier settings do not leak in
+const BASE_CONFIG = {
+    integrator: 'euler',
+    speed: 1,
+    alpha: 0,
+    noise: 0,
+    forcing: { F: 0 },
+    initParams: { q: 1, noise: 0 }
+};
+
+const MEAN_FIELD = {
+    ...BASE_CONFIG,
+    N: 100,
+    seed: 1,
+    topologyType: 'allToAll',
+    frequencyType: 'gaussian',
+    frequencyParams: { mean: 1, width: 0.5, sampling: 'quantile' }
+};
+
+const RING = {
+    ...BASE_CONFIG,
+    N: 16,
+    K: 1,
+    seed: 1,
+    topologyType: 'ring',
+    topologyParams: { k: 1 },
+    frequencyType: 'identical',
+    frequencyParams: { mean: 1 }
+};
+
+/**
+ * K at which r first crosses `level` along a sweep branch, or null
+ */
+export function crossing(points, level = 0.5) {
+    const direction = points.length > 1 ? Math.sign(points[points.length - 1].K - points[0].K) : 0;
+    const point = points.find(p => (direction > 0 ? p.r > level : p.r < level));
+    return point ? point.K : null;
+}
+
+function syncFraction(results) {
+    return results && results.total > 0 ? (results.counts.sync || 0) / results.total : 0;
+}
+
+export const TOURS = {
+    1: {
+        title: 'Mode 1 : Transition vers la synchronisation',
+        intro: `J'augmente K par paliers sur 100 oscillateurs couplés tous-à-tous, de fréquences
+            gaussiennes (écart-type 0.5, K<sub>c</sub> ≈ 0.80), pour observer l'émergence de la
+            synchronisation : r passe de ~0 (désordre) à ~1 (ordre parfait).`,
+        config: MEAN_FIELD,
+        steps: [
+            {
+                title: 'Couplage faible',
+                config: { K: 0.3, initType: 'random' },
+                run: 30,
+                highlight: 'phaseCanvas',
+                text: `Sous K<sub>c</sub>, chaque oscillateur tourne à sa propre fréquence : les points
+                    restent répartis sur le cercle et r ne fluctue qu'autour de 1/√N ≈ 0.1.`,
+                check: m => ({ ok: m.r < 0.3, message: `r = ${m.r.toFixed(2)} (attendu < 0.3 : incohérent)` })
+            },
+            {
+                title: 'Juste au-dessus de K<sub>c</sub>',
+                set: { K: 1 },
+                run: 40,
+                highlight: 'effectiveFreqCanvas',
+                text: `Un amas d'oscillateurs aux fréquences centrales se verrouille : Ω(ω) présente un
+                    plateau, tandis que les oscillateurs des queues de la distribution continuent de dériver.
+                    La synchronisation est partielle.`,
+                check: m => ({
+                    ok: m.r > 0.3 && m.r < 0.9,
+                    message: `r = ${m.r.toFixed(2)} (attendu entre 0.3 et 0.9 : synchronisation partielle)`
+                })
+            },
+            {
+                title: 'Couplage fort',
+                set: { K: 2 },
+                run: 30,
+                highlight: 'rGraphCanvas',
+                text: `Loin au-dessus de K<sub>c</sub>, presque tous les oscillateurs sont verrouillés
+                    et r(t) se stabilise près de 1 : chaque palier de K se lit comme une marche de r(t).`,
+                check: m => ({ ok: m.r > 0.9, message: `r = ${m.r.toFixed(2)} (attendu > 0.9 : synchronisé)` })
+            }
+        ]
+    },
+    2: {
+        title: 'Mode 2 : Bistabilité synchro / twisted',
+        intro: `Avec le même K, sur un anneau de 16 oscillateurs identiques, différentes conditions
+            initiales mènent à différents attracteurs. Je compare "Quasi-sync" et "Twisted q=1".`,
+        config: RING,
+        steps: [
+            {
+                title: 'Départ quasi-synchrone',
+                config: { initType: 'quasiSync' },
+                run: 30,
+                highlight: 'ringCanvas',
+                text: `Partant de phases proches, l'anneau converge vers l'état synchrone : toutes les
+                    aiguilles alignées, q = 0 et r = 1.`,
+                check: m => ({
+                    ok: m.q === 0 && m.r > 0.9,
+                    message: `q = ${m.q}, r = ${m.r.toFixed(2)} (attendu q = 0, r ≈ 1)`
+                })
+            },
+            {
+                title: 'Départ twisted q=1',
+                config: { initType: 'twisted1' },
+                run: 30,
+                highlight: 'ringCanvas',
+                text: `Au même K, l'état twisted q=1 (la phase fait un tour complet le long de l'anneau)
+                    est lui aussi stable : r ≈ 0 bien que chaque oscillateur soit verrouillé à ses voisins.
+                    Deux attracteurs coexistent : c'est la bistabilité.`,
+                check: (m, prev) => ({
+                    ok: Math.abs(m.q) === 1 && prev[0] && prev[0].q === 0,
+                    message: `q = ${m.q} ici contre q = ${prev[0] ? prev[0].q : '?'} à l'étape précédente (attendu 1 contre 0)`
+                })
+            },
+            {
+                title: 'Départ aléatoire',
+                config: { initType: 'random', seed: 2 },
+                run: 60,
+                highlight: 'kymographCanvas',
+                text: `Depuis des phases aléatoires, l'état atteint dépend du bassin d'attraction où
+                    tombe la condition initiale ; avec cette graine, c'est un état twisted (bandes obliques
+                    sur le diagramme spatio-temporel). Une autre graine (🎲) peut mener ailleurs :
+                    le mode 4 mesure la taille de chaque bassin.`,
+                check: m => ({ ok: m.q !== 0, message: `q = ${m.q} (attendu un état twisted, q ≠ 0)` })
+            }
+        ]
+    },
+    3: {
+        title: 'Mode 3 : Hystérèse',
+        intro: `J'utilise les balayages K↑ et K↓ pour observer que les seuils de transition
+            diffèrent selon le sens de variation, puis je vérifie à K fixé si cet écart vient
+            d'une vraie bistabilité ou du retard de la dynamique.`,
+        config: MEAN_FIELD,
+        steps: [
+            {
+                title: 'Balayage K↑',
+                config: { K: 0, initType: 'random' },
+                sweep: 1,
+                highlight: 'hysteresisCanvas',
+                text: `En montant, r ne décolle qu'au-delà de K<sub>c</sub> ≈ 0.80 : la synchronisation
+                    met un temps à s'établir, et K a continué d'augmenter entre-temps.`,
+                check: m => {
+                    const K = crossing(m.hysteresisUp);
+                    return { ok: K !== null, message: K !== null ? `r > 0.5 à K ≈ ${K.toFixed(2)}` : 'r n\'a jamais dépassé 0.5' };
+                }
+            },
+            {
+                title: 'Balayage K↓',
+                sweep: -1,
+                highlight: 'hysteresisCanvas',
+                text: `En descendant depuis l'état synchrone, r reste élevé bien en dessous du seuil
+                    de montée : les deux branches de r(K) forment un cycle d'hystérèse.`,
+                check: m => {
+                    const up = crossing(m.hysteresisUp);
+                    const down = crossing(m.hysteresisDown);
+                    return {
+                        ok: up !== null && down !== null && down < up,
+                        message: `seuils : K↑ ≈ ${up !== null ? up.toFixed(2) : '?'}, K↓ ≈ ${down !== null ? down.toFixed(2) : '?'} (attendu K↓ < K↑)`
+                    };
+                }
+            },
+            {
+                title: 'K fixé, départ aléatoire',
+                config: { K: 1.2, initType: 'random' },
+                run: 40,
+                highlight: 'rGraphCanvas',
+                text: `À K = 1.2, entre les deux seuils, le système part du désordre et se synchronise
+                    partiellement.`,
+                check: m => ({ ok: m.r > 0.5, message: `r = ${m.r.toFixed(2)}` })
+            },
+            {
+                title: 'K fixé, départ synchrone',
+                config: { K: 1.2, initType: 'quasiSync' },
+                run: 40,
+                highlight: 'rGraphCanvas',
+                text: `Partant de l'état synchrone au même K, r atteint la même valeur : pour une
+                    distribution unimodale la transition est continue, et le cycle du balayage continu
+                    vient du retard de la dynamique. Le protocole quasi-statique (relaxation puis mesure
+                    à chaque palier) sert à séparer ce retard d'une vraie bistabilité.`,
+                check: (m, prev) => {
+                    const before = prev[2] ? prev[2].r : NaN;
+                    return {
+                        ok: Math.abs(m.r - before) < 0.1,
+                        message: `r = ${m.r.toFixed(2)} contre ${before.toFixed(2)} depuis le désordre (attendu égaux à 0.1 près)`
+                    };
+                }
+            }
+        ]
+    },
+    4: {
+        title: 'Mode 4 : Expérience statistique',
+        intro: `Je lance plusieurs simulations avec des conditions aléatoires pour estimer
+            la taille des bassins d'attraction de chaque état, puis je compare deux portées de couplage.`,
+        config: RING,
+        steps: [
+            {
+                title: 'Bassins, anneau k = 1',
+                config: {},
+                experiment: { numSims: 50 },
+                highlight: 'experimentPanel',
+                text: `Sur l'anneau aux plus proches voisins, l'état synchrone attire la majorité des
+                    conditions initiales, mais une part notable finit dans les états twisted q = ±1.`,
+                check: m => {
+                    const sync = syncFraction(m.experiment);
+                    return { ok: sync > 0.3 && sync < 1, message: `synchro : ${(sync * 100).toFixed(0)}% (attendu majoritaire, sans être seul)` };
+                }
+            },
+            {
+                title: 'Bassins, anneau k = 4',
+                config: { topologyParams: { k: 4 } },
+                experiment: { numSims: 50 },
+                highlight: 'experimentPanel',
+                text: `Avec un couplage de plus longue portée, le bassin de l'état synchrone grandit
+                    aux dépens des états twisted (Wiley, Strogatz et Girvan, 2006).`,
+                check: (m, prev) => {
+                    const before = syncFraction(prev[0] && prev[0].experiment);
+                    const sync = syncFraction(m.experiment);
+                    return {
+                        ok: sync > before,
+                        message: `synchro : ${(sync * 100).toFixed(0)}% contre ${(before * 100).toFixed(0)}% pour k = 1 (attendu plus grand)`
+                    };
+                }
+            }
+        ]
+    }
+};
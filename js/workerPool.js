@@ -0,0 +1,96 @@
+/**
+ * Worker Pool
+ * Dispatches jobs to a fixed set of module Web Workers,
+ * handing the next job to whichever worker becomes idle
+ */
+
+export class WorkerPool {
+    /**
+     * @param {URL|string} scriptUrl - Module worker script
+     * @param {number} size - Number of workers
+     */
+    constructor(scriptUrl, size = Math.max(1, (navigator.hardwareConcurrency || 4) - 1)) {
+        this.scriptUrl = scriptUrl;
+        this.size = size;
+        this.workers = [];
+        this.finish = null;   // Resolver of the run in progress
+    }
+
+    /**
+     * Whether module workers can be used in this environment
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Run every job; each worker receives `{ jobId, ...job }` and must reply `{ jobId, ... }`
+     * @param {Object[]} jobs - Messages to post
+     * @param {function(Object)} onResult - Called with each reply as it arrives
+     * @returns {Promise<{cancelled: boolean}>}
+     */
+    run(jobs, onResult) {
+        this.cancel();
+
+        while (this.workers.length < Math.min(this.size, jobs.length)) {
+            this.workers.push(new Worker(this.scriptUrl, { type: 'module' }));
+        }
+
+        return new Promise((resolve, reject) => {
+            let next = 0;
+            let pending = jobs.length;
+            this.finish = resolve;
+
+            if (pending === 0) {
+                this.finish = null;
+                resolve({ cancelled: false });
+                return;
+            }
+
+            const dispatch = (worker) => {
+                if (next < jobs.length) {
+                    worker.postMessage({ jobId: next, ...jobs[next] });
+                    next++;
+                }
+            };
+
+            this.workers.forEach(worker => {
+                worker.onmessage = (e) => {
+                    onResult(e.data);
+                    pending--;
+                    if (pending === 0) {
+                        this.finish = null;
+                        resolve({ cancelled: false });
+                    } else {
+                        dispatch(worker);
+                    }
+                };
+                worker.onerror = (e) => {
+                    this.terminate();
+                    this.finish = null;
+                    reject(new Error(e.message || 'Worker error'));
+                };
+                dispatch(worker);
+            });
+        });
+    }
+
+    /**
+     * Abort the run in progress (workers are terminated and respawned on the next run)
+     */
+    cancel() {
+        if (!this.finish) return;
+        const finish = this.finish;
+        this.finish = null;
+        this.terminate();
+        finish({ cancelled: true });
+    }
+
+    /**
+     * Terminate every worker
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+    }
+}